@@ -50,11 +50,35 @@ class WordDatabaseAITrainer {
     }
     
     /**
-     * Get total count of records
+     * Build the WHERE clause for rows after an id watermark. The column name is
+     * checked against the table schema since it cannot be bound as a parameter.
      */
-    public function getTotalRecords() {
+    private function afterClause($afterColumn) {
+        if ($afterColumn === null) {
+            return '';
+        }
+        
+        $stmt = $this->conn->prepare("DESCRIBE {$this->tableName}");
+        $stmt->execute();
+        $fields = array_column($stmt->fetchAll(PDO::FETCH_ASSOC), 'Field');
+        
+        if (!in_array($afterColumn, $fields, true)) {
+            throw new PDOException("Unknown column '$afterColumn'");
+        }
+        
+        return " WHERE `$afterColumn` > :afterId";
+    }
+    
+    /**
+     * Get total count of records, optionally only those after an id watermark
+     */
+    public function getTotalRecords($afterColumn = null, $afterId = 0) {
         try {
-            $stmt = $this->conn->prepare("SELECT COUNT(*) as total FROM {$this->tableName}");
+            $where = $this->afterClause($afterColumn);
+            $stmt = $this->conn->prepare("SELECT COUNT(*) as total FROM {$this->tableName}$where");
+            if ($where) {
+                $stmt->bindParam(':afterId', $afterId);
+            }
             $stmt->execute();
             $result = $stmt->fetch(PDO::FETCH_ASSOC);
             
@@ -71,11 +95,17 @@ class WordDatabaseAITrainer {
     }
     
     /**
-     * Get data in batches for training
+     * Get data in batches for training, optionally only rows after an id
+     * watermark (in id order) so a saved model can be fine-tuned on new rows
      */
-    public function getTrainingBatch($offset = 0, $limit = 100) {
+    public function getTrainingBatch($offset = 0, $limit = 100, $afterColumn = null, $afterId = 0) {
         try {
-            $stmt = $this->conn->prepare("SELECT * FROM {$this->tableName} LIMIT :offset, :limit");
+            $where = $this->afterClause($afterColumn);
+            $order = $where ? " ORDER BY `$afterColumn`" : '';
+            $stmt = $this->conn->prepare("SELECT * FROM {$this->tableName}$where$order LIMIT :offset, :limit");
+            if ($where) {
+                $stmt->bindParam(':afterId', $afterId);
+            }
             $stmt->bindParam(':offset', $offset, PDO::PARAM_INT);
             $stmt->bindParam(':limit', $limit, PDO::PARAM_INT);
             $stmt->execute();
@@ -180,13 +210,17 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
             break;
             
         case 'get_count':
-            echo json_encode($trainer->getTotalRecords());
+            $afterColumn = isset($data['afterColumn']) ? $data['afterColumn'] : null;
+            $afterId = isset($data['afterId']) ? $data['afterId'] : 0;
+            echo json_encode($trainer->getTotalRecords($afterColumn, $afterId));
             break;
             
         case 'get_batch':
             $offset = isset($data['offset']) ? (int)$data['offset'] : 0;
             $limit = isset($data['limit']) ? (int)$data['limit'] : 100;
-            echo json_encode($trainer->getTrainingBatch($offset, $limit));
+            $afterColumn = isset($data['afterColumn']) ? $data['afterColumn'] : null;
+            $afterId = isset($data['afterId']) ? $data['afterId'] : 0;
+            echo json_encode($trainer->getTrainingBatch($offset, $limit, $afterColumn, $afterId));
             break;
             
         case 'save_model':
@@ -0,0 +1,280 @@
+/**
+ * Word AI training settings
+ *
+ * Describes the editable parts of the trainer config with their allowed
+ * ranges, so the settings panel, JSON config import and the command line
+ * all validate settings the same way before they are merged into `config`.
+ */
+
+// Editable settings: dotted config path, panel label and group, and the allowed values
+const CONFIG_RULES = [
+  { path: 'epochs',                    group: 'Training', label: 'Epochs',                 type: 'integer', min: 1, max: 1000 },
+  { path: 'batchSize',                 group: 'Training', label: 'Batch size',             type: 'integer', min: 1, max: 4096 },
+  { path: 'validationSplit',           group: 'Training', label: 'Validation split',       type: 'number', min: 0, max: 0.5 },
+  { path: 'testSplit',                 group: 'Training', label: 'Test split',             type: 'number', min: 0, max: 0.5 },
+  { path: 'stratifySplits',            group: 'Training', label: 'Stratify splits',        type: 'boolean' },
+  { path: 'splitSeed',                 group: 'Training', label: 'Split seed',             type: 'integer', min: 0, max: 2147483647 },
+  { path: 'streaming',                 group: 'Training', label: 'Stream pages',           type: 'boolean' },
+  { path: 'streamPageSize',            group: 'Training', label: 'Stream page size',       type: 'integer', min: 10, max: 100000 },
+  { path: 'model.architecture',        group: 'Model',    label: 'Architecture',           type: 'enum', values: ['pooling', 'lstm', 'gru', 'conv1d', 'tfidf'] },
+  { path: 'model.bidirectional',       group: 'Model',    label: 'Bidirectional (lstm/gru)', type: 'boolean' },
+  { path: 'model.recurrentUnits',      group: 'Model',    label: 'Recurrent units (lstm/gru)', type: 'integer', min: 1, max: 1024 },
+  { path: 'model.filters',             group: 'Model',    label: 'Filters (conv1d)',       type: 'integer', min: 1, max: 1024 },
+  { path: 'model.kernelSize',          group: 'Model',    label: 'Kernel size (conv1d)',   type: 'integer', min: 1, max: 15 },
+  { path: 'model.hiddenUnits',         group: 'Model',    label: 'Hidden layer sizes',     type: 'integerList', min: 1, max: 4096, minLength: 1, maxLength: 5 },
+  { path: 'model.dropout',             group: 'Model',    label: 'Dropout',                type: 'number', min: 0, max: 0.9 },
+  { path: 'model.activation',          group: 'Model',    label: 'Activation',             type: 'enum', values: ['relu', 'elu', 'selu', 'tanh', 'sigmoid'] },
+  { path: 'model.embeddingDim',        group: 'Model',    label: 'Embedding size (blank: sqrt of vocabulary)', type: 'integer', min: 1, max: 512, nullable: true },
+  { path: 'model.maxEmbeddingDim',     group: 'Model',    label: 'Largest automatic embedding size', type: 'integer', min: 1, max: 512 },
+  { path: 'model.optimizer',           group: 'Model',    label: 'Optimizer',              type: 'enum', values: ['adam', 'sgd', 'rmsprop', 'adagrad'] },
+  { path: 'model.learningRate',        group: 'Model',    label: 'Learning rate',          type: 'number', min: 1e-6, max: 1 },
+  { path: 'earlyStopping.enabled',     group: 'Early stopping', label: 'Enabled (off: run every epoch)', type: 'boolean' },
+  { path: 'earlyStopping.monitor',     group: 'Early stopping', label: 'Monitor',          type: 'enum', values: ['val_loss', 'val_acc', 'loss', 'acc'] },
+  { path: 'earlyStopping.patience',    group: 'Early stopping', label: 'Patience (epochs)', type: 'integer', min: 1, max: 100 },
+  { path: 'earlyStopping.minDelta',    group: 'Early stopping', label: 'Minimum improvement', type: 'number', min: 0, max: 1 },
+  { path: 'earlyStopping.restoreBestWeights', group: 'Early stopping', label: 'Restore best weights', type: 'boolean' },
+  { path: 'lrSchedule.type',           group: 'Learning rate schedule', label: 'Schedule', type: 'enum', values: ['none', 'plateau', 'step', 'cosine'] },
+  { path: 'lrSchedule.factor',         group: 'Learning rate schedule', label: 'Factor',   type: 'number', min: 0.01, max: 0.99 },
+  { path: 'lrSchedule.patience',       group: 'Learning rate schedule', label: 'Plateau patience', type: 'integer', min: 1, max: 100 },
+  { path: 'lrSchedule.stepSize',       group: 'Learning rate schedule', label: 'Step size (epochs)', type: 'integer', min: 1, max: 1000 },
+  { path: 'lrSchedule.minLearningRate', group: 'Learning rate schedule', label: 'Minimum learning rate', type: 'number', min: 0, max: 1 },
+  { path: 'maxVocabSize',              group: 'Features', label: 'Maximum vocabulary size', type: 'integer', min: 1, max: 1000000, nullable: true },
+  { path: 'minTokenFrequency',         group: 'Features', label: 'Minimum word frequency', type: 'integer', min: 1, max: 1000 },
+  { path: 'oovBuckets',                group: 'Features', label: 'OOV buckets',            type: 'integer', min: 0, max: 10000 },
+  { path: 'maxCategoricalValues',      group: 'Features', label: 'Maximum categorical values', type: 'integer', min: 2, max: 1000 },
+  { path: 'numericScaling',            group: 'Features', label: 'Numeric scaling',        type: 'enum', values: ['standardize', 'normalize'] },
+  { path: 'categoricalEncoding',       group: 'Features', label: 'Categorical encoding',   type: 'enum', values: ['onehot', 'embedding'] },
+  { path: 'tokenizer.type',            group: 'Tokenizer', label: 'Tokens',                type: 'enum', values: ['word', 'char', 'bpe'] },
+  { path: 'tokenizer.minN',            group: 'Tokenizer', label: 'Shortest n-gram (char)', type: 'integer', min: 1, max: 10 },
+  { path: 'tokenizer.maxN',            group: 'Tokenizer', label: 'Longest n-gram (char)', type: 'integer', min: 1, max: 10 },
+  { path: 'tokenizer.bpeMerges',       group: 'Tokenizer', label: 'Subword merges (bpe)',  type: 'integer', min: 1, max: 100000 },
+  { path: 'tokenizer.lowercase',       group: 'Text normalization', label: 'Lowercase',    type: 'boolean' },
+  { path: 'tokenizer.foldAccents',     group: 'Text normalization', label: 'Fold accents (é -> e)', type: 'boolean' },
+  { path: 'tokenizer.maskUrls',        group: 'Text normalization', label: 'Mask URLs',    type: 'boolean' },
+  { path: 'tokenizer.maskNumbers',     group: 'Text normalization', label: 'Mask numbers', type: 'boolean' },
+  { path: 'tokenizer.stripPunctuation', group: 'Text normalization', label: 'Strip punctuation', type: 'boolean' },
+  { path: 'tokenizer.stopwords',       group: 'Text normalization', label: 'Stopwords',    type: 'enum', values: ['none', 'english'] },
+  { path: 'tokenizer.customStopwords', group: 'Text normalization', label: 'More stopwords', type: 'stringList', maxLength: 1000 },
+  { path: 'tokenizer.stemming',        group: 'Text normalization', label: 'Stem English words', type: 'boolean' },
+  { path: 'pretrainedEmbeddings.path', group: 'Pretrained embeddings', label: 'Word vector file or URL (GloVe/word2vec text)', type: 'string', minLength: 1, maxLength: 2048, nullable: true },
+  { path: 'pretrainedEmbeddings.trainable', group: 'Pretrained embeddings', label: 'Fine-tune pretrained vectors', type: 'boolean' },
+  { path: 'task',                      group: 'Labels',   label: 'Task',                   type: 'enum', values: ['auto', 'classification', 'regression'] },
+  { path: 'regressionLoss',            group: 'Labels',   label: 'Regression loss',        type: 'enum', values: ['mse', 'mae'] },
+  { path: 'multiLabel',                group: 'Labels',   label: 'Multi-label (several labels per row)', type: 'boolean' },
+  { path: 'labelDelimiter',            group: 'Labels',   label: 'Label separator (multi-label)', type: 'string', minLength: 1, maxLength: 5 },
+  { path: 'labelThreshold',            group: 'Labels',   label: 'Default label threshold (multi-label)', type: 'number', min: 0.01, max: 0.99 },
+  { path: 'classBalance.classWeights', group: 'Class balance', label: 'Class weights', type: 'enum', values: ['none', 'balanced'] },
+  { path: 'classBalance.resampling',   group: 'Class balance', label: 'Resample training split', type: 'enum', values: ['none', 'oversample', 'undersample'] },
+  { path: 'prediction.topK',           group: 'Prediction', label: 'Classes listed (top k)', type: 'integer', min: 1, max: 100 },
+  { path: 'prediction.threshold',      group: 'Prediction', label: 'Abstain below probability', type: 'number', min: 0, max: 1 },
+  { path: 'search.strategy',           group: 'Hyperparameter search', label: 'Strategy', type: 'enum', values: ['random', 'grid'] },
+  { path: 'search.trials',             group: 'Hyperparameter search', label: 'Random trials', type: 'integer', min: 1, max: 500 },
+  { path: 'search.folds',              group: 'Hyperparameter search', label: 'Cross-validation folds', type: 'integer', min: 2, max: 10 },
+  { path: 'search.epochs',             group: 'Hyperparameter search', label: 'Epochs per fold', type: 'integer', min: 1, max: 1000 }
+];
+
+// Settings a search space may vary. Trials rebuild the model on rows prepared
+// once, so preprocessing settings (tokenizer, vocabularies, scaling, task,
+// splits) would have no effect.
+const SEARCHABLE_SECTIONS = ['model', 'earlyStopping', 'lrSchedule', 'classBalance'];
+const SEARCHABLE_SETTINGS = ['epochs', 'batchSize'];
+
+/**
+ * Read a dotted path (e.g. 'model.dropout') from an object
+ */
+function getConfigValue(settings, path) {
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), settings);
+}
+
+/**
+ * Set a dotted path on an object, creating intermediate objects
+ */
+function setConfigValue(settings, path, value) {
+  const parts = path.split('.');
+  const last = parts.pop();
+  let target = settings;
+  parts.forEach(part => {
+    target = target[part] = target[part] || {};
+  });
+  target[last] = value;
+  return settings;
+}
+
+/**
+ * Check one value against its rule. Returns an error message or null.
+ */
+function checkConfigValue(rule, value) {
+  if (value === null && rule.nullable) return null;
+
+  const inRange = number => number >= rule.min && number <= rule.max;
+  const range = `between ${rule.min} and ${rule.max}`;
+
+  switch (rule.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${rule.path} must be true or false`;
+    case 'enum':
+      return rule.values.includes(value) ? null : `${rule.path} must be one of ${rule.values.join(', ')}`;
+    case 'integer':
+      return Number.isInteger(value) && inRange(value) ? null : `${rule.path} must be a whole number ${range}`;
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) && inRange(value) ? null : `${rule.path} must be a number ${range}`;
+    case 'string':
+      return typeof value === 'string' && value.length >= rule.minLength && value.length <= rule.maxLength
+        ? null : `${rule.path} must be text of ${rule.minLength} to ${rule.maxLength} characters`;
+    case 'stringList':
+      if (!Array.isArray(value) || value.length > rule.maxLength) {
+        return `${rule.path} must list at most ${rule.maxLength} values`;
+      }
+      return value.every(item => typeof item === 'string' && item.trim() !== '') ? null : `${rule.path} values must be non-empty text`;
+    case 'integerList':
+      if (!Array.isArray(value) || value.length < rule.minLength || value.length > rule.maxLength) {
+        return `${rule.path} must list ${rule.minLength} to ${rule.maxLength} values`;
+      }
+      return value.every(item => Number.isInteger(item) && inRange(item)) ? null : `${rule.path} values must be whole numbers ${range}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate (possibly partial) settings. With `defaults`, keys that do not
+ * exist in the config are reported too, so typos in imported files surface.
+ * Returns a list of error messages; empty when the settings are valid.
+ */
+function validateConfig(settings, defaults = null) {
+  const errors = [];
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['Settings must be a JSON object'];
+  }
+
+  CONFIG_RULES.forEach(rule => {
+    const value = getConfigValue(settings, rule.path);
+    if (value === undefined) return;
+
+    const error = checkConfigValue(rule, value);
+    if (error) errors.push(error);
+  });
+
+  if (defaults) {
+    Object.keys(settings).forEach(key => {
+      if (!(key in defaults)) {
+        errors.push(`Unknown setting '${key}'`);
+        return;
+      }
+
+      // Sections made up of editable settings only accept their own keys
+      const value = settings[key];
+      const ruled = CONFIG_RULES.some(rule => rule.path.startsWith(`${key}.`));
+      if (ruled && value && typeof value === 'object') {
+        Object.keys(value)
+          .filter(child => !(child in defaults[key]))
+          .forEach(child => errors.push(`Unknown setting '${key}.${child}'`));
+      }
+    });
+  }
+
+  // A search space maps model and training settings to the values to try
+  const space = settings.search && settings.search.space;
+  if (space !== undefined) {
+    if (!space || typeof space !== 'object' || Array.isArray(space)) {
+      errors.push('search.space must map setting paths to lists of values');
+    } else {
+      Object.entries(space).forEach(([path, values]) => {
+        const rule = CONFIG_RULES.find(candidate => candidate.path === path);
+        const searchable = SEARCHABLE_SETTINGS.includes(path) || SEARCHABLE_SECTIONS.includes(path.split('.')[0]);
+        if (!rule || !searchable) {
+          errors.push(`search.space: '${path}' is not a setting that can be searched`);
+        } else if (!Array.isArray(values) || values.length === 0) {
+          errors.push(`search.space: '${path}' needs a non-empty list of values`);
+        } else {
+          values.map(value => checkConfigValue(rule, value))
+            .filter(error => error)
+            .forEach(error => errors.push(`search.space: ${error}`));
+        }
+      });
+
+      // Text is encoded once, either as TF-IDF vectors or as word sequences
+      const architectures = space['model.architecture'];
+      if (Array.isArray(architectures) && architectures.includes('tfidf') && architectures.some(value => value !== 'tfidf')) {
+        errors.push("search.space: 'model.architecture' cannot mix tfidf with sequence architectures");
+      }
+    }
+  }
+
+  // The splits need rows left over for training
+  const validationSplit = settings.validationSplit !== undefined ? settings.validationSplit : defaults && defaults.validationSplit;
+  const testSplit = settings.testSplit !== undefined ? settings.testSplit : defaults && defaults.testSplit;
+  if (typeof validationSplit === 'number' && typeof testSplit === 'number' && validationSplit + testSplit > 0.8) {
+    errors.push('validationSplit and testSplit together must leave at least 20% of the rows for training');
+  }
+
+  // Per-column tokenizers take the same settings as config.tokenizer
+  const columnTokenizers = settings.columnTokenizers;
+  if (columnTokenizers !== undefined) {
+    if (!columnTokenizers || typeof columnTokenizers !== 'object' || Array.isArray(columnTokenizers)) {
+      errors.push('columnTokenizers must map column names to tokenizer settings');
+    } else {
+      Object.entries(columnTokenizers).forEach(([column, tokenizer]) => {
+        CONFIG_RULES.filter(rule => rule.path.startsWith('tokenizer.')).forEach(rule => {
+          const value = tokenizer && tokenizer[rule.path.slice('tokenizer.'.length)];
+          const error = value === undefined ? null : checkConfigValue(rule, value);
+          if (error) errors.push(`columnTokenizers.${column}: ${error}`);
+        });
+      });
+    }
+  }
+
+  // Character n-grams need a range
+  const tokenizer = { ...(defaults && defaults.tokenizer), ...settings.tokenizer };
+  if (typeof tokenizer.minN === 'number' && typeof tokenizer.maxN === 'number' && tokenizer.minN > tokenizer.maxN) {
+    errors.push('tokenizer.minN must not be larger than tokenizer.maxN');
+  }
+
+  // Regression predicts one number, not a set of labels
+  const task = settings.task !== undefined ? settings.task : defaults && defaults.task;
+  const multiLabel = settings.multiLabel !== undefined ? settings.multiLabel : defaults && defaults.multiLabel;
+  if (task === 'regression' && multiLabel === true) {
+    errors.push("multiLabel cannot be combined with task 'regression'");
+  }
+
+  return errors;
+}
+
+/**
+ * Deep-merge settings into a config object; arrays and other values replace
+ */
+function mergeConfig(target, settings) {
+  Object.entries(settings).forEach(([key, value]) => {
+    const isObject = item => item && typeof item === 'object' && !Array.isArray(item);
+
+    if (isObject(value) && isObject(target[key])) {
+      mergeConfig(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  });
+  return target;
+}
+
+/**
+ * Copy of the effective config for saving next to a model or exporting.
+ * Database credentials are left out.
+ */
+function exportConfig(settings) {
+  const { dbConfig, ...rest } = settings;
+  return JSON.parse(JSON.stringify(rest));
+}
+
+// Expose the settings helpers to Node.js; in the browser these stay globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CONFIG_RULES,
+    getConfigValue,
+    setConfigValue,
+    checkConfigValue,
+    validateConfig,
+    mergeConfig,
+    exportConfig
+  };
+}
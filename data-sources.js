@@ -0,0 +1,446 @@
+/**
+ * Data sources for the Word AI Trainer
+ *
+ * A data source provides the schema, record count and paged rows of a table.
+ * The trainer only talks to this interface, so the same pipeline can run on
+ * the MySQL-backed api.php endpoint or on local CSV, JSONL and JSON exports.
+ */
+
+/**
+ * Base class describing the data source interface
+ */
+class DataSource {
+  /**
+   * Get the column list in MySQL DESCRIBE format ({ Field, Type, Null, Key, Default, Extra })
+   */
+  async getSchema() {
+    throw new Error(`${this.constructor.name} does not implement getSchema()`);
+  }
+
+  /**
+   * Get the total number of rows. With `after` ({ column, value }), only
+   * count rows whose id column is greater than value.
+   */
+  async getCount(after = null) {
+    throw new Error(`${this.constructor.name} does not implement getCount()`);
+  }
+
+  /**
+   * Get up to `limit` rows starting at `offset`. With `after`, page through
+   * the rows whose id column is greater than after.value, in id order.
+   */
+  async getBatch(offset, limit, after = null) {
+    throw new Error(`${this.constructor.name} does not implement getBatch()`);
+  }
+
+  /**
+   * Record trained model metadata. Sources without a database report an error
+   * response instead of throwing, matching api.php.
+   */
+  async saveModelMetadata(modelInfo) {
+    return {
+      status: 'error',
+      message: `${this.constructor.name} cannot store model metadata`
+    };
+  }
+}
+
+/**
+ * Data source backed by the PHP api.php endpoint and its MySQL 'word' table
+ */
+class HttpDataSource extends DataSource {
+  constructor(endpoint, dbConfig = {}) {
+    super();
+    this.endpoint = endpoint;
+    this.dbConfig = dbConfig;
+  }
+
+  async getSchema() {
+    const response = await this.request('get_schema');
+
+    if (response.status !== 'success') {
+      throw new Error(`Failed to fetch schema: ${response.message}`);
+    }
+    return response.schema;
+  }
+
+  async getCount(after = null) {
+    const response = await this.request('get_count', afterParams(after));
+
+    if (response.status !== 'success') {
+      throw new Error(`Failed to fetch record count: ${response.message}`);
+    }
+    // PDO returns the COUNT(*) as a string
+    return Number(response.count);
+  }
+
+  async getBatch(offset, limit, after = null) {
+    const response = await this.request('get_batch', { offset, limit, ...afterParams(after) });
+
+    if (response.status !== 'success') {
+      throw new Error(`Failed to fetch data batch: ${response.message}`);
+    }
+    return response.data;
+  }
+
+  async saveModelMetadata(modelInfo) {
+    return this.request('save_model', { model: modelInfo });
+  }
+
+  /**
+   * Make API request to PHP backend
+   */
+  async request(action, additionalData = {}) {
+    try {
+      const requestData = {
+        action,
+        ...this.dbConfig,
+        ...additionalData
+      };
+
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(requestData)
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('API request failed:', error);
+      return {
+        status: 'error',
+        message: error.message
+      };
+    }
+  }
+}
+
+/**
+ * Base class for sources read from a local file. The whole file is parsed on
+ * first use and then served page by page.
+ *
+ * `source` may be a File/Blob (browser upload), a URL (browser) or a file path (Node.js).
+ */
+class FileDataSource extends DataSource {
+  constructor(source) {
+    super();
+    this.source = source;
+    this.rows = null;
+    this.schema = null;
+  }
+
+  async getSchema() {
+    await this.load();
+    return this.schema;
+  }
+
+  async getCount(after = null) {
+    await this.load();
+    return this.rowsAfter(after).length;
+  }
+
+  async getBatch(offset, limit, after = null) {
+    await this.load();
+    return this.rowsAfter(after).slice(offset, offset + limit);
+  }
+
+  /**
+   * Rows whose id column is greater than after.value, in id order (all rows without `after`)
+   */
+  rowsAfter(after) {
+    if (!after) return this.rows;
+
+    return this.rows
+      .filter(row => Number(row[after.column]) > after.value)
+      .sort((a, b) => Number(a[after.column]) - Number(b[after.column]));
+  }
+
+  /**
+   * Read and parse the file once
+   */
+  async load() {
+    if (this.rows) return;
+
+    const text = await this.readText();
+    this.rows = this.parse(text);
+    this.schema = inferSchema(this.rows);
+  }
+
+  /**
+   * Read the raw file contents as text
+   */
+  async readText() {
+    if (typeof Blob !== 'undefined' && this.source instanceof Blob) {
+      return this.source.text();
+    }
+
+    if (typeof this.source !== 'string') {
+      throw new Error('File data source expects a File, URL or path');
+    }
+
+    if (typeof window === 'undefined' && typeof require === 'function') {
+      return require('fs').promises.readFile(this.source, 'utf8');
+    }
+
+    const response = await fetch(this.source);
+    if (!response.ok) {
+      throw new Error(`Failed to read ${this.source}: HTTP ${response.status}`);
+    }
+    return response.text();
+  }
+
+  /**
+   * Convert file contents into an array of row objects
+   */
+  parse(text) {
+    throw new Error(`${this.constructor.name} does not implement parse()`);
+  }
+}
+
+/**
+ * CSV file with a header row. Empty fields are read as null, like SQL NULL.
+ */
+class CsvDataSource extends FileDataSource {
+  constructor(source, options = {}) {
+    super(source);
+    this.delimiter = options.delimiter || ',';
+  }
+
+  parse(text) {
+    const records = parseCsv(text, this.delimiter);
+    if (records.length === 0) {
+      throw new Error('CSV file is empty');
+    }
+
+    const header = records[0].map(name => name.trim());
+
+    return records.slice(1)
+      // Skip blank lines
+      .filter(record => record.length > 1 || record[0] !== '')
+      .map(record => {
+        const row = {};
+        header.forEach((column, index) => {
+          const value = record[index];
+          row[column] = value === undefined || value === '' ? null : value;
+        });
+        return row;
+      });
+  }
+}
+
+/**
+ * JSON Lines file: one JSON object per line
+ */
+class JsonlDataSource extends FileDataSource {
+  parse(text) {
+    return text.split(/\r?\n/)
+      .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+      .filter(({ line }) => line !== '')
+      .map(({ line, number }) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          throw new Error(`Invalid JSON on line ${number}: ${error.message}`);
+        }
+      });
+  }
+}
+
+/**
+ * JSON file containing an array of row objects
+ */
+class JsonArrayDataSource extends FileDataSource {
+  parse(text) {
+    const rows = JSON.parse(text);
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON data file must contain an array of objects');
+    }
+    return rows;
+  }
+}
+
+/**
+ * Request parameters for an `after` watermark, as understood by api.php
+ */
+function afterParams(after) {
+  return after ? { afterColumn: after.column, afterId: after.value } : {};
+}
+
+/**
+ * Split CSV text into records of fields (RFC 4180 quoting)
+ */
+function parseCsv(text, delimiter = ',') {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Last record without a trailing newline
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+}
+
+/**
+ * Format rows as CSV text with a header row. Fields containing the
+ * delimiter, quotes or line breaks are quoted; null becomes an empty field.
+ */
+function formatCsv(rows, columns, delimiter = ',') {
+  const quote = value => {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [columns.map(quote).join(delimiter)];
+  rows.forEach(row => lines.push(columns.map(column => quote(row[column])).join(delimiter)));
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Build a DESCRIBE-style schema from the rows of a file
+ */
+function inferSchema(rows) {
+  const columns = [];
+  const seen = new Set();
+
+  // Keep columns in first-seen order
+  rows.forEach(row => {
+    Object.keys(row).forEach(column => {
+      if (!seen.has(column)) {
+        seen.add(column);
+        columns.push(column);
+      }
+    });
+  });
+
+  return columns.map(column => {
+    let isInteger = true;
+    let isNumeric = true;
+    let hasNull = false;
+    let maxLength = 0;
+
+    rows.forEach(row => {
+      const value = row[column];
+      if (value === null || value === undefined) {
+        hasNull = true;
+        return;
+      }
+
+      const text = String(value);
+      maxLength = Math.max(maxLength, text.length);
+
+      if (typeof value === 'object' || text.trim() === '' || !Number.isFinite(Number(text))) {
+        isNumeric = false;
+        isInteger = false;
+      } else if (!/^-?\d+$/.test(text.trim())) {
+        isInteger = false;
+      }
+    });
+
+    let type = maxLength <= 255 ? 'varchar(255)' : 'text';
+    if (maxLength > 0 && isInteger) {
+      type = 'int(11)';
+    } else if (maxLength > 0 && isNumeric) {
+      type = 'double';
+    }
+
+    return {
+      Field: column,
+      Type: type,
+      Null: hasNull ? 'YES' : 'NO',
+      Key: '',
+      Default: null,
+      Extra: ''
+    };
+  });
+}
+
+/**
+ * Create a data source from a config object:
+ *   { type: 'http', endpoint, dbConfig }
+ *   { type: 'csv' | 'jsonl' | 'json', path | file, delimiter }
+ * The type is guessed from the file extension when omitted, and is 'http'
+ * without a file; an extension it does not know is an error.
+ */
+function createDataSource(options = {}) {
+  const source = options.file || options.path;
+  let type = options.type;
+
+  if (!type && !source) {
+    type = 'http';
+  } else if (!type) {
+    const name = typeof source === 'string' ? source : source.name || '';
+    const extension = name.split('.').pop().toLowerCase();
+    type = { csv: 'csv', jsonl: 'jsonl', ndjson: 'jsonl', json: 'json' }[extension];
+    if (!type) {
+      throw new Error(`Cannot tell the data source type of '${name}'; give its type ('csv', 'jsonl' or 'json')`);
+    }
+  }
+
+  switch (type) {
+    case 'http':
+      return new HttpDataSource(options.endpoint, options.dbConfig);
+    case 'csv':
+      return new CsvDataSource(source, options);
+    case 'jsonl':
+      return new JsonlDataSource(source);
+    case 'json':
+      return new JsonArrayDataSource(source);
+    default:
+      throw new Error(`Unknown data source type: ${type}`);
+  }
+}
+
+// Expose the data sources to Node.js; in the browser these stay globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DataSource,
+    HttpDataSource,
+    FileDataSource,
+    CsvDataSource,
+    JsonlDataSource,
+    JsonArrayDataSource,
+    parseCsv,
+    formatCsv,
+    inferSchema,
+    createDataSource
+  };
+}
@@ -0,0 +1,259 @@
+/**
+ * Word AI hyperparameter search
+ *
+ * Tries combinations of the settings in config.search.space, either every
+ * combination (grid) or a seeded sample of them (random). Each trial is scored
+ * with k-fold cross-validation over the train and validation rows, so the
+ * test split stays untouched for evaluating the final model. Trials are ranked
+ * by mean fold accuracy (R² for regression models) in a leaderboard; the
+ * winner's settings can be merged into config to train the final model.
+ * Every trial reuses the rows prepared once, so only model and training
+ * settings can be searched (see SEARCHABLE_SETTINGS in config-settings.js).
+ */
+
+class HyperparameterSearch {
+  /**
+   * @param {WordAI} app - Trainer with its data loaded (prepare() has run)
+   * @param {Object} options - Search settings, shaped like config.search
+   * @param {Function} options.log - Receives progress messages
+   */
+  constructor(app, options = {}) {
+    this.app = app;
+    this.options = { ...config.search, ...options };
+    this.log = options.log || (message => app.logMessage(message));
+    this.scoreName = app.regression ? 'R²' : 'Accuracy';
+    this.leaderboard = [];
+  }
+
+  /**
+   * Settings to try, each a map of config paths to values
+   */
+  candidates() {
+    const { strategy, trials, space } = this.options;
+    const paths = Object.keys(space);
+
+    // Every combination, varying the last setting fastest
+    const grid = paths.reduce((combinations, path) =>
+      combinations.flatMap(combination => space[path].map(value => ({ ...combination, [path]: value }))), [{}]);
+
+    if (strategy === 'grid' || grid.length <= trials) {
+      return grid;
+    }
+
+    return shuffleInPlace(grid, createRandom(config.splitSeed)).slice(0, trials);
+  }
+
+  /**
+   * Assign rows to folds, spreading each label evenly across them
+   */
+  createFolds(labels) {
+    const random = createRandom(config.splitSeed);
+    const byLabel = {};
+
+    shuffleInPlace(labels.map((label, index) => index), random).forEach(index => {
+      (byLabel[labels[index]] = byLabel[labels[index]] || []).push(index);
+    });
+
+    const folds = Array.from({ length: this.options.folds }, () => []);
+    let position = 0;
+    Object.values(byLabel).forEach(indices => {
+      indices.forEach(index => folds[position++ % folds.length].push(index));
+    });
+
+    return folds;
+  }
+
+  /**
+   * Run every trial and return the leaderboard, best first. `onTrial` is
+   * called with each finished trial and the number of trials. Errors are
+   * thrown to the caller.
+   */
+  async run(onTrial = () => {}) {
+    if (config.streaming) {
+      throw new Error('Hyperparameter search needs the rows in memory; turn off streaming');
+    }
+
+    // The text columns are encoded for either TF-IDF or sequence models
+    const tfidf = config.model.architecture === 'tfidf';
+    const architectures = this.options.space['model.architecture'] || [];
+    if (architectures.some(architecture => (architecture === 'tfidf') !== tfidf)) {
+      throw new Error(`The rows are encoded for ${tfidf ? 'the tfidf architecture' : 'sequence architectures'}; ` +
+        `search.space cannot switch model.architecture to ${tfidf ? 'a sequence architecture' : 'tfidf'}`);
+    }
+
+    // Pretrained vectors fix the embedding size of their columns; trials that
+    // only differ in model.embeddingDim would then train the same model
+    const sizedByConfig = Object.values(this.app.preprocessors).some(preprocessor => !preprocessor.embeddingDim &&
+      ((preprocessor.type === 'text' && preprocessor.encoding !== 'tfidf') ||
+        (preprocessor.type === 'categorical' && preprocessor.encoding === 'embedding')));
+    if (this.options.space['model.embeddingDim'] && !sizedByConfig) {
+      const { 'model.embeddingDim': unused, ...space } = this.options.space;
+      this.options.space = space;
+      this.log('Leaving model.embeddingDim out of the search: no column\'s embedding size depends on it');
+    }
+
+    const candidates = this.candidates();
+    const data = this.app.prepareTrainingData(['train', 'validation']);
+    // Loaded row behind each row of `data`, for class balancing the folds
+    const rows = [...this.app.splits.train, ...this.app.splits.validation];
+    // Folds are stratified by label, or by label set for multi-label rows; regression targets are not
+    let labels;
+    if (this.app.regression) {
+      labels = Array(data.ys.shape[0]).fill('all');
+    } else {
+      labels = data.ys.rank === 2 ? data.ys.arraySync().map(row => row.join('')) : Array.from(data.ys.dataSync());
+    }
+
+    if (labels.length < this.options.folds) {
+      throw new Error(`Need at least ${this.options.folds} rows for ${this.options.folds}-fold cross-validation`);
+    }
+
+    const folds = this.createFolds(labels);
+    this.log(`Searching ${candidates.length} settings (${this.options.strategy}) with ${folds.length}-fold cross-validation on ${labels.length} rows`);
+
+    this.leaderboard = [];
+
+    try {
+      for (let i = 0; i < candidates.length; i++) {
+        const trial = await this.crossValidate(candidates[i], data, folds, rows);
+        trial.trial = i + 1;
+
+        this.leaderboard.push(trial);
+        this.leaderboard.sort((a, b) => b.meanScore - a.meanScore || a.meanLoss - b.meanLoss);
+
+        this.log(`Trial ${i + 1}/${candidates.length} ${HyperparameterSearch.describe(trial.params)}: ` +
+          `${this.scoreName} ${trial.meanScore.toFixed(4)} ± ${trial.stdScore.toFixed(4)}, ` +
+          `loss ${trial.meanLoss.toFixed(4)} ± ${trial.stdLoss.toFixed(4)}`);
+        onTrial(trial, candidates.length);
+      }
+    } finally {
+      Object.values(data.xs).forEach(tensor => tensor.dispose());
+      data.ys.dispose();
+    }
+
+    return this.leaderboard;
+  }
+
+  /**
+   * Train and score one set of settings on every fold. Each fold's training
+   * part is resampled and class weighted like the final fit() (see
+   * WordAI.balanceTrainingSplit()); the held-out part is left as it is.
+   */
+  async crossValidate(params, data, folds, rows) {
+    const settings = {};
+    Object.entries(params).forEach(([path, value]) => setConfigValue(settings, path, value));
+
+    const scores = [];
+    const losses = [];
+    const epochs = [];
+    const positions = new Map(rows.map((row, position) => [row, position]));
+
+    // search.epochs applies unless the space varies epochs itself
+    await this.withSettings({ epochs: this.options.epochs, ...settings }, async () => {
+      for (let k = 0; k < folds.length; k++) {
+        const trainRows = folds.filter((fold, j) => j !== k).flat().map(position => rows[position]);
+        const balanced = this.app.balanceTrainingSplit(trainRows, () => {});
+        const trainIndices = tf.tensor1d(balanced.trainIndices.map(row => positions.get(row)), 'int32');
+        const heldOutIndices = tf.tensor1d(folds[k], 'int32');
+        const model = this.app.buildModel();
+
+        const slice = indices => ({
+          xs: model.inputNames.map(name => tf.gather(data.xs[name], indices)),
+          ys: tf.gather(data.ys, indices)
+        });
+        const train = slice(trainIndices);
+        const heldOut = slice(heldOutIndices);
+
+        try {
+          const monitor = new TrainingMonitor(model, { hasValidation: true, regression: this.app.regression, log: () => {} });
+          await model.fit(train.xs, train.ys, {
+            epochs: config.epochs,
+            batchSize: config.batchSize,
+            classWeight: balanced.classWeight,
+            validationData: [heldOut.xs, heldOut.ys],
+            callbacks: {
+              onEpochBegin: epoch => monitor.onEpochBegin(epoch),
+              onEpochEnd: (epoch, logs) => monitor.onEpochEnd(epoch, logs)
+            }
+          });
+          epochs.push(monitor.finish().epochsRun);
+
+          const [loss, metric] = model.evaluate(heldOut.xs, heldOut.ys, { batchSize: config.batchSize });
+          losses.push(loss.dataSync()[0]);
+          scores.push(this.app.regression ? HyperparameterSearch.r2(model, heldOut) : metric.dataSync()[0]);
+          loss.dispose();
+          metric.dispose();
+        } finally {
+          [trainIndices, heldOutIndices, ...train.xs, train.ys, ...heldOut.xs, heldOut.ys].forEach(tensor => tensor.dispose());
+          model.dispose();
+        }
+      }
+    });
+
+    return {
+      params,
+      settings,
+      scoreName: this.scoreName,
+      meanScore: HyperparameterSearch.mean(scores),
+      stdScore: HyperparameterSearch.standardDeviation(scores),
+      meanLoss: HyperparameterSearch.mean(losses),
+      stdLoss: HyperparameterSearch.standardDeviation(losses),
+      foldScores: scores,
+      foldLosses: losses,
+      epochs: Math.round(HyperparameterSearch.mean(epochs))
+    };
+  }
+
+  /**
+   * Run `work` with settings merged into config, restoring config afterwards
+   */
+  async withSettings(settings, work) {
+    const saved = {};
+    Object.keys(settings).forEach(key => {
+      saved[key] = JSON.parse(JSON.stringify(config[key]));
+    });
+    mergeConfig(config, settings);
+
+    try {
+      return await work();
+    } finally {
+      Object.assign(config, saved);
+    }
+  }
+
+  /**
+   * Short text for a trial's settings, e.g. 'model.dropout=0.2, batchSize=32'
+   */
+  static describe(params) {
+    return Object.entries(params).map(([path, value]) => `${path}=${JSON.stringify(value)}`).join(', ');
+  }
+
+  /**
+   * R² of a regression model on held-out rows (the same on standardized targets)
+   */
+  static r2(model, heldOut) {
+    const predicted = model.predict(heldOut.xs);
+    const report = Metrics.regressionReport(Array.from(heldOut.ys.dataSync()), Array.from(predicted.dataSync()));
+    predicted.dispose();
+    return report.r2;
+  }
+
+  static mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+
+  /**
+   * Population standard deviation
+   */
+  static standardDeviation(values) {
+    const average = HyperparameterSearch.mean(values);
+    return Math.sqrt(HyperparameterSearch.mean(values.map(value => (value - average) ** 2)));
+  }
+}
+
+// Expose the search to Node.js; in the browser these stay globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    HyperparameterSearch
+  };
+}
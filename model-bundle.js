@@ -0,0 +1,198 @@
+/**
+ * Word AI model bundles
+ *
+ * A bundle is a single self-describing JSON document with everything needed
+ * to make predictions: the model topology and weights, preprocessors, labels,
+ * feature/label columns, training config and metrics. It can be downloaded,
+ * uploaded back into the page or loaded from disk in Node.js.
+ */
+
+const BUNDLE_FORMAT = 'word-ai-bundle';
+// Bumped whenever a field changes how a bundle must be read, so older readers
+// refuse bundles they would misread:
+//   1 - single-label classification with word-split text columns
+//   2 - adds multiLabel/labelThresholds, regression/targetScaling and a
+//       tokenizer per text preprocessor (char n-grams, BPE, normalization)
+const BUNDLE_VERSION = 2;
+
+const ModelBundle = {
+  /**
+   * Create a bundle from a trained WordAI instance and the config it was trained with
+   */
+  async create(app, trainingConfig) {
+    const artifacts = await ModelBundle.captureArtifacts(app.model);
+    const inverseLabelMap = app.getInverseLabelMap();
+
+    // Database credentials stay out of the bundle
+    const { dbConfig, ...savedConfig } = trainingConfig;
+
+    return {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      createdAt: new Date().toISOString(),
+      model: {
+        modelTopology: artifacts.modelTopology,
+        weightSpecs: artifacts.weightSpecs,
+        weightData: arrayBufferToBase64(artifacts.weightData)
+      },
+      preprocessors: app.preprocessors,
+      labels: Object.keys(inverseLabelMap).sort((a, b) => a - b).map(index => inverseLabelMap[index]),
+      featureColumns: app.featureColumns,
+      labelColumn: app.labelColumn,
+      // Multi-label models predict every label above its own threshold
+      multiLabel: app.multiLabel,
+      labelThresholds: app.multiLabel ? app.getLabelThresholds() : null,
+      // Regression models predict a standardized number: label = output * std + mean
+      regression: app.regression,
+      targetScaling: app.targetScaling,
+      // Rows already trained on, so fine-tuning can continue after them
+      watermark: app.watermark,
+      config: JSON.parse(JSON.stringify(savedConfig)),
+      metrics: {
+        evaluation: app.evaluationResults,
+        trainingTimeMs: app.trainingTime,
+        training: app.trainingSummary,
+        history: app.trainingLogs
+      }
+    };
+  },
+
+  /**
+   * Serialize a model's topology and weights without writing them anywhere
+   */
+  async captureArtifacts(model) {
+    let captured = null;
+
+    await model.save(tf.io.withSaveHandler(async artifacts => {
+      captured = artifacts;
+      return {
+        modelArtifactsInfo: {
+          dateSaved: new Date(),
+          modelTopologyType: 'JSON'
+        }
+      };
+    }));
+
+    return captured;
+  },
+
+  /**
+   * Load a bundle and return a ready-to-use predictor.
+   * `source` may be a bundle object, its JSON text, or a File/Blob holding it.
+   */
+  async load(source) {
+    const bundle = await ModelBundle.read(source);
+
+    const model = await tf.loadLayersModel(tf.io.fromMemory({
+      modelTopology: bundle.model.modelTopology,
+      weightSpecs: bundle.model.weightSpecs,
+      weightData: base64ToArrayBuffer(bundle.model.weightData)
+    }));
+
+    return {
+      model,
+      bundle,
+      preprocessors: bundle.preprocessors,
+      labels: bundle.labels,
+      featureColumns: bundle.featureColumns,
+      labelColumn: bundle.labelColumn,
+      multiLabel: Boolean(bundle.multiLabel),
+      labelThresholds: bundle.labelThresholds || null,
+      regression: Boolean(bundle.regression),
+      targetScaling: bundle.targetScaling || null,
+      config: bundle.config,
+      metrics: bundle.metrics,
+      predict: (input, options) => predictWithLoadedModel(model, bundle.preprocessors, bundle.labels, input,
+        { labelThresholds: bundle.labelThresholds || undefined, targetScaling: bundle.targetScaling || undefined, ...options })
+    };
+  },
+
+  /**
+   * Parse and validate a bundle
+   */
+  async read(source) {
+    let bundle = source;
+
+    if (typeof Blob !== 'undefined' && source instanceof Blob) {
+      bundle = await source.text();
+    }
+    if (typeof bundle === 'string') {
+      bundle = JSON.parse(bundle);
+    }
+
+    if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+      throw new Error('Not a Word AI model bundle');
+    }
+    if (bundle.version > BUNDLE_VERSION) {
+      throw new Error(`Bundle version ${bundle.version} is newer than supported version ${BUNDLE_VERSION}`);
+    }
+
+    return bundle;
+  },
+
+  /**
+   * Serialize a bundle to JSON text
+   */
+  stringify(bundle) {
+    return JSON.stringify(bundle);
+  },
+
+  /**
+   * Offer a bundle as a file download in the browser
+   */
+  download(bundle, filename = 'word-ai-model.json') {
+    const blob = new Blob([ModelBundle.stringify(bundle)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    URL.revokeObjectURL(url);
+  }
+};
+
+/**
+ * Encode binary weight data as base64 (chunked to avoid argument limits)
+ */
+function arrayBufferToBase64(buffer) {
+  if (typeof Buffer !== 'undefined') {
+    return Buffer.from(buffer).toString('base64');
+  }
+
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 weight data back into an ArrayBuffer
+ */
+function base64ToArrayBuffer(base64) {
+  if (typeof Buffer !== 'undefined') {
+    const bytes = Buffer.from(base64, 'base64');
+    return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length);
+  }
+
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+// Expose bundles to Node.js; in the browser these stay globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BUNDLE_FORMAT,
+    BUNDLE_VERSION,
+    ModelBundle
+  };
+}
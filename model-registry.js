@@ -0,0 +1,227 @@
+/**
+ * Word AI model registry
+ *
+ * Keeps every saved model as a numbered version in IndexedDB instead of the
+ * single 'word-ai-model' slot. Each version stores a model bundle (see
+ * model-bundle.js) plus a small summary with its metrics and training config,
+ * so versions can be listed and compared without loading their weights.
+ * One version can be promoted to "active".
+ */
+
+const REGISTRY_DB_NAME = 'word-ai-registry';
+const REGISTRY_DB_VERSION = 1;
+
+class ModelRegistry {
+  constructor(options = {}) {
+    this.dbName = options.dbName || REGISTRY_DB_NAME;
+    this.indexedDB = options.indexedDB || (ModelRegistry.isSupported() ? indexedDB : null);
+    this.db = null;
+  }
+
+  /**
+   * Whether IndexedDB is available (it is not in Node.js)
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open the database, creating the object stores on first use
+   */
+  async open() {
+    if (this.db) return this.db;
+
+    if (!this.indexedDB) {
+      throw new Error('IndexedDB is not available');
+    }
+
+    const request = this.indexedDB.open(this.dbName, REGISTRY_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      // Summaries are listed often; bundles hold the weights and are read on load
+      db.createObjectStore('versions', { keyPath: 'id' });
+      db.createObjectStore('bundles');
+      db.createObjectStore('settings');
+    };
+
+    this.db = await requestToPromise(request);
+    return this.db;
+  }
+
+  /**
+   * Store a bundle as a new version. Returns the version summary.
+   */
+  async save(bundle, name) {
+    const id = await this.nextVersionId();
+    const evaluation = (bundle.metrics && bundle.metrics.evaluation) || {};
+    const history = (bundle.metrics && bundle.metrics.history) || [];
+
+    const summary = {
+      id,
+      name: name || `${bundle.labelColumn} model`,
+      createdAt: bundle.createdAt,
+      labelColumn: bundle.labelColumn,
+      featureColumns: bundle.featureColumns,
+      numClasses: bundle.labels.length,
+      metrics: {
+        accuracy: evaluation.accuracy,
+        loss: evaluation.loss,
+        macroF1: evaluation.report && evaluation.report.macro ? evaluation.report.macro.f1 : undefined,
+        mae: evaluation.report && evaluation.report.regression ? evaluation.report.mae : undefined,
+        r2: evaluation.report && evaluation.report.regression ? evaluation.report.r2 : undefined,
+        evaluatedOn: evaluation.newRowsOnly ? `${evaluation.subset} (new rows only)` : evaluation.subset,
+        epochsTrained: history.length,
+        trainingTimeMs: bundle.metrics ? bundle.metrics.trainingTimeMs : undefined
+      },
+      watermark: bundle.watermark,
+      config: bundle.config
+    };
+
+    await this.transaction(['versions', 'bundles'], 'readwrite', stores => {
+      stores.versions.put(summary);
+      stores.bundles.put(bundle, id);
+    });
+
+    return summary;
+  }
+
+  /**
+   * Version ids count up from v1
+   */
+  async nextVersionId() {
+    const versions = await this.list();
+    const highest = versions.reduce((max, version) => Math.max(max, Number(version.id.slice(1)) || 0), 0);
+    return `v${highest + 1}`;
+  }
+
+  /**
+   * List version summaries, newest first, with an `active` flag
+   */
+  async list() {
+    const [versions, activeId] = await Promise.all([
+      this.transaction(['versions'], 'readonly', stores => stores.versions.getAll()),
+      this.getActiveId()
+    ]);
+
+    return versions
+      .map(version => ({ ...version, active: version.id === activeId }))
+      .sort((a, b) => Number(b.id.slice(1)) - Number(a.id.slice(1)));
+  }
+
+  /**
+   * Get the summary of one version
+   */
+  async get(id) {
+    const summary = await this.transaction(['versions'], 'readonly', stores => stores.versions.get(id));
+    if (!summary) {
+      throw new Error(`Model version ${id} not found`);
+    }
+    return summary;
+  }
+
+  /**
+   * Get the full bundle of a version, ready for ModelBundle.load()
+   */
+  async load(id) {
+    const bundle = await this.transaction(['bundles'], 'readonly', stores => stores.bundles.get(id));
+    if (!bundle) {
+      throw new Error(`Model version ${id} not found`);
+    }
+    return bundle;
+  }
+
+  /**
+   * Compare versions side by side: their metrics plus every config setting
+   * that differs between them
+   */
+  async compare(ids) {
+    const versions = await Promise.all(ids.map(id => this.get(id)));
+
+    const configKeys = new Set();
+    versions.forEach(version => Object.keys(version.config || {}).forEach(key => configKeys.add(key)));
+
+    const differences = Array.from(configKeys).filter(key => {
+      const values = versions.map(version => JSON.stringify((version.config || {})[key]));
+      return values.some(value => value !== values[0]);
+    });
+
+    return {
+      versions,
+      metrics: ['accuracy', 'loss', 'macroF1', 'mae', 'r2', 'evaluatedOn', 'epochsTrained', 'trainingTimeMs'],
+      configDifferences: differences
+    };
+  }
+
+  /**
+   * Mark a version as the active model
+   */
+  async promote(id) {
+    await this.get(id);
+    await this.transaction(['settings'], 'readwrite', stores => {
+      stores.settings.put(id, 'activeVersion');
+    });
+  }
+
+  /**
+   * Id of the active version, or null
+   */
+  async getActiveId() {
+    const id = await this.transaction(['settings'], 'readonly', stores => stores.settings.get('activeVersion'));
+    return id || null;
+  }
+
+  /**
+   * Delete a version; deleting the active version leaves no version active
+   */
+  async delete(id) {
+    const activeId = await this.getActiveId();
+
+    await this.transaction(['versions', 'bundles', 'settings'], 'readwrite', stores => {
+      stores.versions.delete(id);
+      stores.bundles.delete(id);
+      if (id === activeId) {
+        stores.settings.delete('activeVersion');
+      }
+    });
+  }
+
+  /**
+   * Run `work` against the named stores and resolve with the result of the
+   * request it returns (if any) once the transaction completes
+   */
+  async transaction(storeNames, mode, work) {
+    const db = await this.open();
+    const tx = db.transaction(storeNames, mode);
+
+    const stores = {};
+    storeNames.forEach(name => {
+      stores[name] = tx.objectStore(name);
+    });
+
+    const request = work(stores);
+
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Expose the registry to Node.js; in the browser these stay globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    REGISTRY_DB_NAME,
+    ModelRegistry
+  };
+}
@@ -0,0 +1,231 @@
+/**
+ * Word AI text normalization
+ *
+ * Cleans text before the tokenizers (tokenizers.js) split it, so that
+ * spelling variants share one vocabulary entry. Every step is off by default
+ * except lowercasing. The steps run in this order:
+ *
+ *   lowercase, fold accents ('café' -> 'cafe'), mask URLs ('<url>'), mask
+ *   numbers ('<num>'), strip punctuation, then per word: drop stopwords and
+ *   stem ('baking' -> 'bake')
+ *
+ * The settings are saved with each column's tokenizer, so prediction
+ * normalizes input the same way the training rows were.
+ */
+
+// Placeholders for masked text; punctuation stripping leaves them intact
+const TEXT_MASKS = {
+  url: '<url>',
+  number: '<num>'
+};
+
+// Common English function words (lowercase, with and without apostrophes)
+const ENGLISH_STOPWORDS = [
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further',
+  'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'herself', 'him', 'himself', 'his', 'how',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'me', 'more', 'most', 'my', 'myself',
+  'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'ourselves',
+  'out', 'over', 'own', 'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their',
+  'theirs', 'them', 'themselves', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too',
+  'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who',
+  'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours', 'yourself', 'yourselves',
+  "it's", "don't", 'dont', "doesn't", 'doesnt', "isn't", 'isnt', "i'm", 'im', "you're", 'youre',
+  "we're", "they're", 'theyre', "that's", 'thats', "there's", 'theres'
+];
+
+class TextNormalizer {
+  /**
+   * @param {Object} spec - Settings shaped like config.tokenizer
+   */
+  constructor(spec = {}) {
+    this.lowercase = spec.lowercase !== false;
+    this.foldAccents = Boolean(spec.foldAccents);
+    this.maskUrls = Boolean(spec.maskUrls);
+    this.maskNumbers = Boolean(spec.maskNumbers);
+    this.stripPunctuation = Boolean(spec.stripPunctuation);
+    this.stopwords = spec.stopwords || 'none';
+    this.customStopwords = spec.customStopwords || [];
+    this.stemming = Boolean(spec.stemming);
+
+    this.stopwordSet = new Set([
+      ...(this.stopwords === 'english' ? ENGLISH_STOPWORDS : []),
+      ...this.customStopwords.map(word => word.toLowerCase())
+    ]);
+  }
+
+  /**
+   * Apply the steps that work on the whole text
+   */
+  normalizeText(text) {
+    let normalized = String(text);
+
+    if (this.lowercase) normalized = normalized.toLowerCase();
+    if (this.foldAccents) normalized = normalized.normalize('NFD').replace(/\p{M}/gu, '');
+    if (this.maskUrls) {
+      normalized = normalized.replace(/\b(?:https?:\/\/|www\.)\S+/gi, ` ${TEXT_MASKS.url} `);
+    }
+    if (this.maskNumbers) {
+      // Whole numbers only: 'mp3' stays a word
+      normalized = normalized.replace(/(^|[^\p{L}\p{N}])[-+]?\d+(?:[.,]\d+)*(?![\p{L}\p{N}])/gu, `$1 ${TEXT_MASKS.number} `);
+    }
+    if (this.stripPunctuation) {
+      normalized = normalized.replace(/<url>|<num>|[^\p{L}\p{N}\s]/gu, match => (match.length > 1 ? match : ''));
+    }
+    return normalized;
+  }
+
+  /**
+   * Apply the steps that work on single words: drop stopwords, then stem
+   */
+  normalizeWords(words) {
+    let normalized = words;
+
+    if (this.stopwordSet.size > 0) {
+      normalized = normalized.filter(word => !this.stopwordSet.has(word.toLowerCase()));
+    }
+    if (this.stemming) {
+      normalized = normalized.map(stemEnglish);
+    }
+    return normalized;
+  }
+
+  /**
+   * Settings saved with the tokenizer
+   */
+  toJSON() {
+    return {
+      lowercase: this.lowercase,
+      foldAccents: this.foldAccents,
+      maskUrls: this.maskUrls,
+      maskNumbers: this.maskNumbers,
+      stripPunctuation: this.stripPunctuation,
+      stopwords: this.stopwords,
+      customStopwords: this.customStopwords,
+      stemming: this.stemming
+    };
+  }
+}
+
+// Porter stemmer suffix rules: [suffix, replacement], longest suffix first
+const PORTER_STEP2 = [
+  ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'], ['izer', 'ize'],
+  ['abli', 'able'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'], ['ousli', 'ous'],
+  ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'], ['alism', 'al'], ['iveness', 'ive'],
+  ['fulness', 'ful'], ['ousness', 'ous'], ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble']
+].sort((a, b) => b[0].length - a[0].length);
+
+const PORTER_STEP3 = [
+  ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'], ['ical', 'ic'], ['ful', ''], ['ness', '']
+].sort((a, b) => b[0].length - a[0].length);
+
+const PORTER_STEP4 = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent',
+  'ion', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+].sort((a, b) => b.length - a.length);
+
+/**
+ * Porter stemmer (M. F. Porter, 1980) for lowercase English words: inflected
+ * and derived forms share a stem ('connected', 'connection' -> 'connect').
+ * Words with characters other than a-z are returned unchanged.
+ */
+function stemEnglish(word) {
+  if (word.length <= 2 || !/^[a-z]+$/.test(word)) return word;
+
+  // 'y' is a vowel after a consonant ('happy') and a consonant otherwise ('yes', 'toy')
+  const isConsonant = (stem, i) => {
+    if ('aeiou'.includes(stem[i])) return false;
+    if (stem[i] === 'y') return i === 0 || !isConsonant(stem, i - 1);
+    return true;
+  };
+  // Number of vowel-consonant sequences: 'tree' 0, 'trouble' 1, 'private' 2
+  const measure = stem => {
+    let count = 0;
+    for (let i = 1; i < stem.length; i++) {
+      if (isConsonant(stem, i) && !isConsonant(stem, i - 1)) count++;
+    }
+    return count;
+  };
+  const hasVowel = stem => Array.from(stem).some((char, i) => !isConsonant(stem, i));
+  const endsDoubleConsonant = stem =>
+    stem.length >= 2 && stem[stem.length - 1] === stem[stem.length - 2] && isConsonant(stem, stem.length - 1);
+  // Consonant-vowel-consonant ending where the last is not w, x or y ('hop', not 'snow')
+  const endsCvc = stem => {
+    const last = stem.length - 1;
+    return stem.length >= 3 && isConsonant(stem, last) && !isConsonant(stem, last - 1) &&
+      isConsonant(stem, last - 2) && !'wxy'.includes(stem[last]);
+  };
+  // Replace the longest matching suffix when the remaining stem measures above minMeasure
+  const replaceSuffix = (current, rules, minMeasure) => {
+    const rule = rules.find(([suffix]) => current.endsWith(suffix));
+    if (!rule) return current;
+
+    const stem = current.slice(0, -rule[0].length);
+    return measure(stem) > minMeasure ? stem + rule[1] : current;
+  };
+
+  let stemmed = word;
+
+  // Step 1a: plurals
+  if (stemmed.endsWith('sses') || stemmed.endsWith('ies')) {
+    stemmed = stemmed.slice(0, -2);
+  } else if (stemmed.endsWith('s') && !stemmed.endsWith('ss')) {
+    stemmed = stemmed.slice(0, -1);
+  }
+
+  // Step 1b: past tense and gerunds
+  if (stemmed.endsWith('eed')) {
+    if (measure(stemmed.slice(0, -3)) > 0) stemmed = stemmed.slice(0, -1);
+  } else {
+    const suffix = ['ed', 'ing'].find(ending => stemmed.endsWith(ending) && hasVowel(stemmed.slice(0, -ending.length)));
+    if (suffix) {
+      stemmed = stemmed.slice(0, -suffix.length);
+      if (/(at|bl|iz)$/.test(stemmed)) {
+        stemmed += 'e';
+      } else if (endsDoubleConsonant(stemmed) && !/[lsz]$/.test(stemmed)) {
+        stemmed = stemmed.slice(0, -1);
+      } else if (measure(stemmed) === 1 && endsCvc(stemmed)) {
+        stemmed += 'e';
+      }
+    }
+  }
+
+  // Step 1c: terminal y
+  if (stemmed.endsWith('y') && hasVowel(stemmed.slice(0, -1))) {
+    stemmed = `${stemmed.slice(0, -1)}i`;
+  }
+
+  // Steps 2 and 3: derivational suffixes
+  stemmed = replaceSuffix(stemmed, PORTER_STEP2, 0);
+  stemmed = replaceSuffix(stemmed, PORTER_STEP3, 0);
+
+  // Step 4: remove a suffix from long stems ('-ion' only after s or t)
+  const suffix = PORTER_STEP4.find(ending => stemmed.endsWith(ending));
+  if (suffix) {
+    const stem = stemmed.slice(0, -suffix.length);
+    if (measure(stem) > 1 && (suffix !== 'ion' || /[st]$/.test(stem))) stemmed = stem;
+  }
+
+  // Step 5: final e and double l
+  if (stemmed.endsWith('e')) {
+    const stem = stemmed.slice(0, -1);
+    const stemMeasure = measure(stem);
+    if (stemMeasure > 1 || (stemMeasure === 1 && !endsCvc(stem))) stemmed = stem;
+  }
+  if (stemmed.endsWith('ll') && measure(stemmed) > 1) {
+    stemmed = stemmed.slice(0, -1);
+  }
+
+  return stemmed;
+}
+
+// Expose the normalizer to Node.js; in the browser these stay globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TEXT_MASKS,
+    ENGLISH_STOPWORDS,
+    TextNormalizer,
+    stemEnglish
+  };
+}
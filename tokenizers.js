@@ -0,0 +1,313 @@
+/**
+ * Word AI tokenizers
+ *
+ * A tokenizer turns a text column value into the tokens looked up in the
+ * column's vocabulary. Text is first normalized and split into words (see
+ * text-normalizer.js), then each word is split into tokens:
+ *
+ *   word - the word itself
+ *   char - character n-grams of the word with '<' and '>' marking its edges
+ *   bpe  - subwords from byte-pair-encoding merges learned on the column
+ *
+ * The tokenizer settings, including learned merges, are saved with the
+ * column's preprocessor, so training, prediction and loaded models all
+ * tokenize the same way.
+ */
+
+/**
+ * Base tokenizer: splits text into words and keeps each word as one token
+ */
+class Tokenizer {
+  /**
+   * @param {Object} spec - Settings shaped like config.tokenizer
+   */
+  constructor(spec = {}) {
+    this.normalizer = new TextNormalizer(spec);
+  }
+
+  get type() {
+    return 'word';
+  }
+
+  /**
+   * Normalize text and split it into words on whitespace
+   */
+  splitWords(text) {
+    const words = this.normalizer.normalizeText(text).split(/\s+/).filter(word => word.length > 0);
+    return this.normalizer.normalizeWords(words);
+  }
+
+  /**
+   * Tokens of a single word
+   */
+  tokenizeWord(word) {
+    return [word];
+  }
+
+  tokenize(text) {
+    return this.splitWords(text).flatMap(word => this.tokenizeWord(word));
+  }
+
+  /**
+   * Learn from a column's word counts (Map word -> occurrences) before the
+   * vocabulary is built. Word and n-gram tokenizers have nothing to learn.
+   */
+  train(words) {
+    return this;
+  }
+
+  /**
+   * Column statistics (see WordAI.createColumnStats) with token counts and
+   * document frequencies in place of the word ones. A word's tokens count
+   * once per occurrence of the word; the document frequency of a subword is
+   * estimated from the words containing it, capped at the number of values.
+   */
+  countTokens(stats) {
+    const words = new Map();
+    const documents = new Map();
+
+    stats.words.forEach((count, word) => {
+      this.tokenizeWord(word).forEach(token => words.set(token, (words.get(token) || 0) + count));
+    });
+    stats.documents.forEach((count, word) => {
+      new Set(this.tokenizeWord(word)).forEach(token => {
+        documents.set(token, Math.min(stats.count, (documents.get(token) || 0) + count));
+      });
+    });
+
+    return { ...stats, words, documents };
+  }
+
+  /**
+   * Settings saved with the preprocessor; createTokenizer() restores them
+   */
+  toJSON() {
+    return { type: this.type, ...this.normalizer.toJSON() };
+  }
+}
+
+/**
+ * Character n-grams of each word, e.g. '<co', 'cod', 'ode', 'de>' for 'code'
+ * with n = 3. Words too short for the smallest n-gram stay whole.
+ */
+class CharNgramTokenizer extends Tokenizer {
+  constructor(spec = {}) {
+    super(spec);
+    this.minN = spec.minN || 2;
+    this.maxN = Math.max(this.minN, spec.maxN || 4);
+  }
+
+  get type() {
+    return 'char';
+  }
+
+  tokenizeWord(word) {
+    const chars = Array.from(`<${word}>`);
+    if (chars.length < this.minN) return [chars.join('')];
+
+    const tokens = [];
+    for (let n = this.minN; n <= this.maxN; n++) {
+      for (let i = 0; i + n <= chars.length; i++) {
+        tokens.push(chars.slice(i, i + n).join(''));
+      }
+    }
+    return tokens;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), minN: this.minN, maxN: this.maxN };
+  }
+}
+
+/**
+ * Byte-pair encoding: words start as characters (the last one marked with
+ * '</w>') and the most frequent adjacent pairs in the column are merged into
+ * subwords, up to `bpeMerges` times. Frequent words end up as one token and
+ * rare or unseen words as a few known pieces.
+ */
+class BpeTokenizer extends Tokenizer {
+  constructor(spec = {}) {
+    super(spec);
+    this.maxMerges = spec.bpeMerges || 1000;
+    this.setMerges(spec.merges || []);
+  }
+
+  get type() {
+    return 'bpe';
+  }
+
+  /**
+   * Use a list of [left, right] merges, in the order they were learned
+   */
+  setMerges(merges) {
+    this.merges = merges;
+    this.ranks = new Map(merges.map(([left, right], rank) => [`${left} ${right}`, rank]));
+    this.cache = new Map();
+  }
+
+  train(words) {
+    const entries = Array.from(words.entries())
+      .map(([word, count]) => ({ symbols: BpeTokenizer.symbols(word), count }));
+    const merges = [];
+
+    while (merges.length < this.maxMerges) {
+      // Symbols never contain spaces: words are split on whitespace
+      const pairs = new Map();
+      entries.forEach(({ symbols, count }) => {
+        for (let i = 0; i < symbols.length - 1; i++) {
+          const pair = `${symbols[i]} ${symbols[i + 1]}`;
+          pairs.set(pair, (pairs.get(pair) || 0) + count);
+        }
+      });
+
+      // Most frequent pair, first seen among ties; pairs seen once are not worth a merge
+      let best = null;
+      let bestCount = 1;
+      pairs.forEach((count, pair) => {
+        if (count > bestCount) {
+          best = pair;
+          bestCount = count;
+        }
+      });
+      if (!best) break;
+
+      const [left, right] = best.split(' ');
+      merges.push([left, right]);
+      entries.forEach(entry => {
+        entry.symbols = BpeTokenizer.merge(entry.symbols, left, right);
+      });
+    }
+
+    this.setMerges(merges);
+    return this;
+  }
+
+  tokenizeWord(word) {
+    if (this.cache.has(word)) return this.cache.get(word);
+
+    const symbols = this.applyMerges(word);
+
+    // Bound the cache when predicting over large tables
+    if (this.cache.size >= 50000) this.cache.clear();
+    this.cache.set(word, symbols);
+    return symbols;
+  }
+
+  /**
+   * Merge a word's characters into subwords. `seen` receives every symbol
+   * the word passes through on the way.
+   */
+  applyMerges(word, seen = null) {
+    let symbols = BpeTokenizer.symbols(word);
+    while (symbols.length > 1) {
+      if (seen) symbols.forEach(symbol => seen.add(symbol));
+
+      // Apply the earliest learned merge first, as in training
+      let best = -1;
+      let bestRank = Infinity;
+      for (let i = 0; i < symbols.length - 1; i++) {
+        const rank = this.ranks.get(`${symbols[i]} ${symbols[i + 1]}`);
+        if (rank !== undefined && rank < bestRank) {
+          best = i;
+          bestRank = rank;
+        }
+      }
+      if (best < 0) break;
+      symbols = BpeTokenizer.merge(symbols, symbols[best], symbols[best + 1]);
+    }
+    return symbols;
+  }
+
+  /**
+   * Also counts the characters and partial subwords each word is merged
+   * through, so unseen words that stop merging early still use known pieces
+   */
+  countTokens(stats) {
+    const tokenStats = super.countTokens(stats);
+
+    stats.words.forEach((count, word) => {
+      const seen = new Set();
+      const tokens = this.applyMerges(word, seen);
+      tokens.forEach(token => seen.delete(token));
+      seen.forEach(symbol => tokenStats.words.set(symbol, (tokenStats.words.get(symbol) || 0) + count));
+    });
+    return tokenStats;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), bpeMerges: this.maxMerges, merges: this.merges };
+  }
+
+  /**
+   * Characters of a word, the last one marked as the end of the word
+   */
+  static symbols(word) {
+    const chars = Array.from(word);
+    chars[chars.length - 1] += '</w>';
+    return chars;
+  }
+
+  /**
+   * Replace every adjacent `left`, `right` pair with the merged symbol
+   */
+  static merge(symbols, left, right) {
+    const merged = [];
+    for (let i = 0; i < symbols.length; i++) {
+      if (symbols[i] === left && symbols[i + 1] === right) {
+        merged.push(left + right);
+        i++;
+      } else {
+        merged.push(symbols[i]);
+      }
+    }
+    return merged;
+  }
+}
+
+/**
+ * Create a tokenizer from settings or a saved preprocessor's tokenizer.
+ * Preprocessors saved before tokenizers were configurable have none and get
+ * the lowercase whitespace word tokenizer they were trained with.
+ */
+function createTokenizer(spec = {}) {
+  switch (spec.type || 'word') {
+    case 'word':
+      return new Tokenizer(spec);
+    case 'char':
+      return new CharNgramTokenizer(spec);
+    case 'bpe':
+      return new BpeTokenizer(spec);
+    default:
+      throw new Error(`Unknown tokenizer type: ${spec.type}`);
+  }
+}
+
+// Tokenizers of saved settings, so encoding a batch does not rebuild merge tables
+const tokenizerCache = new WeakMap();
+let defaultTokenizer = null;
+
+/**
+ * Tokenizer for a text preprocessor, created once per preprocessor
+ */
+function tokenizerFor(preprocessor) {
+  if (!preprocessor.tokenizer) {
+    defaultTokenizer = defaultTokenizer || createTokenizer();
+    return defaultTokenizer;
+  }
+
+  if (!tokenizerCache.has(preprocessor.tokenizer)) {
+    tokenizerCache.set(preprocessor.tokenizer, createTokenizer(preprocessor.tokenizer));
+  }
+  return tokenizerCache.get(preprocessor.tokenizer);
+}
+
+// Expose the tokenizers to Node.js; in the browser these stay globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Tokenizer,
+    CharNgramTokenizer,
+    BpeTokenizer,
+    createTokenizer,
+    tokenizerFor
+  };
+}
@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+/**
+ * MySQL Word Database TensorFlow AI Trainer - Command Line Interface
+ *
+ * Runs the same pipeline as the browser page (fetchSchema -> loadData ->
+ * createSplits -> createVocabularies -> initModel -> train -> evaluate ->
+ * save) headless on tfjs-node, so a model can be trained on a server without
+ * a browser tab.
+ * Besides the TensorFlow.js model files, the output directory receives a
+ * single-file bundle (word-ai-bundle.json) that model-bundle.js can load.
+ *
+ * Requires Node.js 18+ (for fetch) and the tfjs-node package:
+ *   npm install @tensorflow/tfjs-node
+ *
+ * Usage:
+ *   node train-cli.js --endpoint http://localhost/api.php --out ./model
+ *   node train-cli.js --config training.json --epochs 20 --streaming
+ *   node train-cli.js --file words.csv --label category --features word,definition
+ *   node train-cli.js --finetune ./model/word-ai-bundle.json --epochs 3 --out ./model
+ *   node train-cli.js --file words.csv --search --search-strategy grid --folds 5
+ *   node train-cli.js --file tagged.jsonl --label tags --multi-label --label-delimiter '|'
+ *   node train-cli.js --file words.csv --tokenizer bpe
+ *   node train-cli.js --file words.csv --embeddings glove.6B.50d.txt --freeze-embeddings
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateConfig, mergeConfig } = require('./config-settings');
+
+// Command line flags and the config keys they set
+const OPTIONS = {
+  '--config':           { key: null,              description: 'JSON file with config overrides' },
+  '--endpoint':         { key: 'apiEndpoint',     description: 'URL of api.php' },
+  '--source':           { key: 'dataSource.type', description: 'Data source: http, csv, jsonl or json (default: from --file extension)' },
+  '--file':             { key: 'dataSource.path', description: 'Data file to train on instead of api.php' },
+  '--epochs':           { key: 'epochs',          type: 'number', description: 'Number of training epochs' },
+  '--batch-size':       { key: 'batchSize',       type: 'number', description: 'Batch size for training' },
+  '--architecture':     { key: 'model.architecture', description: 'Text model: pooling, lstm, gru, conv1d or tfidf' },
+  '--bidirectional':    { key: 'model.bidirectional', type: 'flag', description: 'Read text in both directions (lstm/gru)' },
+  '--learning-rate':    { key: 'model.learningRate', type: 'number', description: 'Starting learning rate' },
+  '--optimizer':        { key: 'model.optimizer', description: 'Optimizer: adam, sgd, rmsprop or adagrad' },
+  '--hidden-units':     { key: 'model.hiddenUnits', type: 'numberList', description: 'Comma-separated hidden layer sizes (e.g. 64,32)' },
+  '--dropout':          { key: 'model.dropout',   type: 'number', description: 'Dropout rate between hidden layers' },
+  '--lr-schedule':      { key: 'lrSchedule.type', description: 'Learning-rate schedule: none, plateau, step or cosine' },
+  '--monitor':          { key: 'earlyStopping.monitor', description: 'Metric watched by early stopping: val_loss, val_acc, loss or acc' },
+  '--patience':         { key: 'earlyStopping.patience', type: 'number', description: 'Epochs without improvement before stopping early' },
+  '--early-stopping':   { key: 'earlyStopping.enabled', type: 'flag', description: 'Stop once the monitored metric stops improving (off by default)' },
+  '--no-early-stopping': { key: 'earlyStopping.enabled', type: 'flag', value: false, description: 'Always run every epoch, even if a config file enables early stopping' },
+  '--class-weights':    { key: 'classBalance.classWeights', description: 'none or balanced (weigh classes by inverse frequency)' },
+  '--resample':         { key: 'classBalance.resampling', description: 'Balance the training split: none, oversample or undersample' },
+  '--validation-split': { key: 'validationSplit', type: 'number', description: 'Portion of data to use for validation' },
+  '--label':            { key: 'labelColumn',     description: 'Column to predict' },
+  '--task':             { key: 'task',            description: 'classification, regression or auto (regression for numeric labels)' },
+  '--multi-label':      { key: 'multiLabel',      type: 'flag',   description: 'Label cells hold several labels; predict every label that applies' },
+  '--label-delimiter':  { key: 'labelDelimiter',  description: 'Separator between labels in a multi-label cell (default: ,)' },
+  '--features':         { key: 'featureColumns',  type: 'list',   description: 'Comma-separated columns to learn from' },
+  '--exclude':          { key: 'excludeColumns',  type: 'list',   description: 'Comma-separated columns never used as features' },
+  '--max-vocab':        { key: 'maxVocabSize',    type: 'number', description: 'Most frequent words kept per text column' },
+  '--min-frequency':    { key: 'minTokenFrequency', type: 'number', description: 'Minimum occurrences for a word to enter the vocabulary' },
+  '--tokenizer':        { key: 'tokenizer.type',  description: 'Text tokens: word, char (character n-grams) or bpe (learned subwords)' },
+  '--stopwords':        { key: 'tokenizer.stopwords', description: 'Drop common words from text: none or english' },
+  '--stemming':         { key: 'tokenizer.stemming', type: 'flag', description: 'Reduce English words in text to their stem' },
+  '--embeddings':       { key: 'pretrainedEmbeddings.path', description: 'GloVe/word2vec text file to initialize text embeddings from' },
+  '--freeze-embeddings': { key: 'pretrainedEmbeddings.trainable', type: 'flag', value: false, description: 'Keep pretrained embeddings fixed during training' },
+  '--oov-buckets':      { key: 'oovBuckets',      type: 'number', description: 'Hash buckets for out-of-vocabulary words' },
+  '--test-split':       { key: 'testSplit',       type: 'number', description: 'Portion of data held out for evaluation' },
+  '--no-stratify':      { key: 'stratifySplits',  type: 'flag',   value: false, description: 'Do not stratify splits by label' },
+  '--seed':             { key: 'splitSeed',       type: 'number', description: 'Seed for the train/validation/test shuffle' },
+  '--streaming':        { key: 'streaming',       type: 'flag',   description: 'Stream pages instead of loading the whole table' },
+  '--page-size':        { key: 'streamPageSize',  type: 'number', description: 'Rows per get_batch request while streaming' },
+  '--db-host':          { key: 'dbConfig.host',     description: 'MySQL host' },
+  '--db-user':          { key: 'dbConfig.username', description: 'MySQL user' },
+  '--db-password':      { key: 'dbConfig.password', description: 'MySQL password' },
+  '--db-name':          { key: 'dbConfig.dbName',   description: 'MySQL database name' },
+  '--finetune':         { key: null,              description: 'Model bundle to continue training on rows added since it was trained (keeps its architecture)' },
+  '--search':           { key: null,              type: 'flag',   description: 'Cross-validate config.search.space first and train with the best settings' },
+  '--search-strategy':  { key: 'search.strategy', description: 'Hyperparameter search: grid or random' },
+  '--trials':           { key: 'search.trials',   type: 'number', description: 'Settings tried by random search' },
+  '--folds':            { key: 'search.folds',    type: 'number', description: 'Cross-validation folds per search trial' },
+  '--out':              { key: null,              description: 'Directory to write the model to (default: ./model)' },
+  '--help':             { key: null,              type: 'flag',   description: 'Show this help' }
+};
+
+/**
+ * Parse argv into { configFile, finetune, search, outDir, overrides, help }
+ */
+function parseArgs(argv) {
+  const result = {
+    configFile: null,
+    finetune: null,
+    search: false,
+    outDir: 'model',
+    overrides: {},
+    help: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+    const option = OPTIONS[flag];
+
+    if (!option) {
+      throw new Error(`Unknown option: ${flag}`);
+    }
+
+    let value = option.value !== undefined ? option.value : true;
+    if (option.type !== 'flag') {
+      value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined) {
+        throw new Error(`Missing value for ${flag}`);
+      }
+      if (option.type === 'list' || option.type === 'numberList') {
+        value = value.split(',').map(item => item.trim()).filter(item => item);
+        if (option.type === 'numberList') value = value.map(Number);
+      } else if (option.type === 'number') {
+        value = Number(value);
+        if (Number.isNaN(value)) {
+          throw new Error(`${flag} expects a number`);
+        }
+      }
+    }
+
+    if (flag === '--config') {
+      result.configFile = value;
+    } else if (flag === '--finetune') {
+      result.finetune = value;
+    } else if (flag === '--search') {
+      result.search = true;
+    } else if (flag === '--out') {
+      result.outDir = value;
+    } else if (flag === '--help') {
+      result.help = true;
+    } else {
+      setPath(result.overrides, option.key, value);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Set a dotted key (e.g. 'dbConfig.host') on an object
+ */
+function setPath(target, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  parts.forEach(part => {
+    target[part] = target[part] || {};
+    target = target[part];
+  });
+  target[last] = value;
+}
+
+/**
+ * Validate overrides (see config-settings.js) and merge them into the shared trainer config
+ */
+function applyConfig(config, overrides, source) {
+  const errors = validateConfig(overrides, config);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid settings in ${source}:\n  ${errors.join('\n  ')}`);
+  }
+  mergeConfig(config, overrides);
+}
+
+/**
+ * Storage that writes each key as a JSON file in the output directory,
+ * standing in for localStorage
+ */
+function createFileStorage(dir) {
+  return {
+    getItem(key) {
+      const file = path.join(dir, `${key}.json`);
+      return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    },
+    setItem(key, value) {
+      fs.writeFileSync(path.join(dir, `${key}.json`), value);
+    },
+    removeItem(key) {
+      fs.rmSync(path.join(dir, `${key}.json`), { force: true });
+    }
+  };
+}
+
+function printHelp() {
+  console.log('Usage: node train-cli.js [options]\n');
+  Object.entries(OPTIONS).forEach(([flag, option]) => {
+    const usage = option.type === 'flag' ? flag : `${flag} <value>`;
+    console.log(`  ${usage.padEnd(28)} ${option.description}`);
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help) {
+    printHelp();
+    return;
+  }
+
+  // The trainer scripts expect TensorFlow.js and each other as globals, as in the browser
+  global.tf = require('@tensorflow/tfjs-node');
+  const { createDataSource, HttpDataSource } = Object.assign(global, require('./data-sources'));
+  Object.assign(global, require('./config-settings'));
+  const { ModelBundle } = Object.assign(global, require('./model-bundle'));
+  // No IndexedDB in Node.js, so ModelRegistry.isSupported() leaves the trainer without a registry
+  Object.assign(global, require('./model-registry'));
+  Object.assign(global, require('./text-normalizer'));
+  Object.assign(global, require('./tokenizers'));
+  Object.assign(global, require('./word-vectors'));
+  const { config, WordAI } = Object.assign(global, require('./word-ai-trainer'));
+  const { HyperparameterSearch } = Object.assign(global, require('./hyperparameter-search'));
+
+  const fileSettings = args.configFile ? JSON.parse(fs.readFileSync(args.configFile, 'utf8')) : {};
+  if (args.configFile) {
+    applyConfig(config, fileSettings, args.configFile);
+  }
+  applyConfig(config, args.overrides, 'command line options');
+  
+  if (args.search && args.finetune) {
+    throw new Error('--search trains a new model and cannot be combined with --finetune');
+  }
+
+  // A data file without an explicit type is identified by its extension,
+  // not by the 'http' default
+  const typeGiven = [fileSettings, args.overrides].some(settings => settings.dataSource && settings.dataSource.type);
+  if (config.dataSource.path && !typeGiven) {
+    delete config.dataSource.type;
+  }
+
+  const dataSource = createDataSource({
+    endpoint: config.apiEndpoint,
+    dbConfig: config.dbConfig,
+    ...config.dataSource
+  });
+
+  if (dataSource instanceof HttpDataSource && !/^https?:\/\//.test(config.apiEndpoint)) {
+    throw new Error(`apiEndpoint must be an absolute URL when running from the command line (got '${config.apiEndpoint}')`);
+  }
+
+  const outDir = path.resolve(args.outDir);
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const app = new WordAI({
+    dataSource,
+    storage: createFileStorage(outDir),
+    modelUrl: `file://${outDir}`
+  });
+
+  const startTime = Date.now();
+
+  if (args.finetune) {
+    await app.loadBundle(fs.readFileSync(args.finetune, 'utf8'));
+    await app.prepareFineTuning();
+  } else {
+    await app.prepare();
+  }
+  
+  if (args.search) {
+    const leaderboard = await new HyperparameterSearch(app).run();
+    fs.writeFileSync(path.join(outDir, 'word-ai-search.json'), JSON.stringify(leaderboard, null, 2));
+    
+    const best = leaderboard[0];
+    app.logMessage(`Best settings: ${HyperparameterSearch.describe(best.params)} (${best.scoreName} ${best.meanScore.toFixed(4)} ± ${best.stdScore.toFixed(4)})`);
+    mergeConfig(config, best.settings);
+    app.initModel();
+  }
+  
+  await app.fit();
+
+  // save() evaluates the model and records the result with the metadata
+  const response = await app.save();
+  if (response.status === 'success') {
+    app.logMessage(`Model metadata saved with ID: ${response.id}`);
+  } else {
+    app.logMessage(`Warning: failed to save model metadata to database: ${response.message}`);
+  }
+
+  const bundle = await app.createBundle();
+  fs.writeFileSync(path.join(outDir, 'word-ai-bundle.json'), ModelBundle.stringify(bundle));
+
+  app.logMessage(`Model written to ${outDir} in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+}
+
+main().catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -10,8 +10,102 @@ const config = {
   apiEndpoint: 'api.php',  // Path to the PHP backend
   batchSize: 32,           // Batch size for training
   epochs: 50,              // Number of training epochs
+  model: {                 // Architecture and optimizer (editable in the Settings tab)
+    architecture: 'pooling', // Text columns: 'pooling' (averaged embeddings), 'lstm', 'gru', 'conv1d',
+                           // or 'tfidf' (TF-IDF bag of words into logistic regression, no hidden layers)
+    bidirectional: false,  // lstm/gru: also read each sequence backwards
+    recurrentUnits: 32,    // lstm/gru: units per direction
+    filters: 64,           // conv1d: number of filters
+    kernelSize: 3,         // conv1d: filter width in words
+    hiddenUnits: [64, 32], // Sizes of the dense layers after the feature branches
+    dropout: 0.2,          // Dropout after each hidden layer but the last (0 for none)
+    activation: 'relu',    // Activation of the hidden layers
+    embeddingDim: null,    // Embedding size for text/categorical columns; null for sqrt(vocabulary size)
+    maxEmbeddingDim: 50,   // Cap on the automatic embedding size
+    optimizer: 'adam',     // 'adam', 'sgd', 'rmsprop' or 'adagrad'
+    learningRate: 0.001    // Starting learning rate
+  },
+  earlyStopping: {
+    enabled: false,        // Stop once the monitored metric stops improving (off: run every epoch)
+    monitor: 'val_loss',   // 'val_loss', 'val_acc', 'loss' or 'acc' (val_* falls back without validation data)
+    patience: 5,           // Epochs without improvement before stopping
+    minDelta: 0.0001,      // Smallest change that counts as an improvement
+    restoreBestWeights: true // When enabled, finish with the weights of the best epoch
+  },
+  search: {                // Hyperparameter search (Search tab, or train-cli.js --search)
+    strategy: 'random',    // 'grid' tries every combination, 'random' samples `trials` of them
+    trials: 8,             // Combinations tried by random search
+    folds: 3,              // k for k-fold cross-validation over the train and validation rows
+    epochs: 20,            // Maximum epochs per fold (early stopping applies when enabled)
+    space: {               // Settings and the values to try
+      'model.embeddingDim': [8, 16, 32],
+      'model.hiddenUnits': [[32], [64, 32], [128, 64]],
+      'model.dropout': [0, 0.2, 0.4],
+      'model.learningRate': [0.0003, 0.001, 0.003],
+      'batchSize': [16, 32, 64]
+    }
+  },
+  classBalance: {          // Counter a skewed label distribution (single-label classification only)
+    classWeights: 'none',  // 'balanced' weighs each class's loss by rows / (classes * rows of the class)
+    resampling: 'none'     // Training split only: 'oversample' repeats rows of smaller classes,
+                           // 'undersample' drops rows of larger ones (not while streaming)
+  },
+  prediction: {
+    topK: 3,               // Classes listed, best first, with each prediction
+    threshold: 0           // Below this top probability the prediction is uncertain (0 always picks a class)
+  },
+  lrSchedule: {
+    type: 'none',          // 'none', 'plateau' (reduce when the monitored metric stalls), 'step' or 'cosine'
+    factor: 0.5,           // plateau/step: multiply the learning rate by this
+    patience: 3,           // plateau: epochs without improvement before reducing
+    stepSize: 10,          // step: epochs between reductions
+    minLearningRate: 1e-6  // Floor for plateau and cosine schedules
+  },
   validationSplit: 0.2,    // Portion of data to use for validation
+  testSplit: 0.1,          // Portion of data held out for evaluateModel()
+  stratifySplits: true,    // Keep label proportions equal across train/validation/test
+  splitSeed: 42,           // Seed for the split shuffle so runs are reproducible
+  streaming: false,        // Train from paged get_batch requests instead of loading the whole table
+  streamPageSize: 1000,    // Rows fetched (and held in memory) per get_batch request while streaming
+  labelColumn: null,       // Column to predict; null uses a column named 'category' or 'label'
+  task: 'auto',            // 'classification', 'regression' (predict a number), or 'auto': regression when every
+                           // label is a number and there are more than maxCategoricalValues distinct ones
+  regressionLoss: 'mse',   // Regression: 'mse' (mean squared error) or 'mae' (mean absolute error)
+  multiLabel: false,       // Each label cell holds a set of labels; predict every label that applies
+  labelDelimiter: ',',     // Multi-label: separator between the labels in a cell
+  labelThreshold: 0.5,     // Multi-label: probability needed for a label when no validation rows tune it
+  featureColumns: null,    // Columns to learn from; null uses every other column
+  excludeColumns: [],      // Columns never used as features
+  columnTypes: {},         // Force a feature type per column: 'text', 'numeric' or 'categorical'
+  maxCategoricalValues: 50, // Single-token columns with at most this many distinct values are categorical
+  maxVocabSize: null,      // Most frequent words kept per text column (null for no limit)
+  minTokenFrequency: 1,    // Words seen fewer times than this are out of vocabulary
+  oovBuckets: 0,           // Hash out-of-vocabulary words into this many buckets (0 maps them all to index 0)
+  tokenizer: {             // How text columns are split into tokens (see tokenizers.js); saved with each vocabulary
+    type: 'word',          // 'word', 'char' (character n-grams) or 'bpe' (subwords learned from the column)
+    lowercase: true,       // Normalization before splitting (see text-normalizer.js):
+    foldAccents: false,    // 'café' -> 'cafe'
+    maskUrls: false,       // Replace URLs with '<url>'
+    maskNumbers: false,    // Replace numbers with '<num>'
+    stripPunctuation: false,
+    stopwords: 'none',     // Drop common words: 'none' or 'english'
+    customStopwords: [],   // More words to drop
+    stemming: false,       // Reduce English words to their Porter stem: 'baking' -> 'bake'
+    minN: 2,               // char: shortest n-gram
+    maxN: 4,               // char: longest n-gram
+    bpeMerges: 1000        // bpe: merges to learn, each adding one subword
+  },
+  columnTokenizers: {},    // Tokenizer settings per text column over config.tokenizer, e.g. { title: { type: 'char' } }
+  pretrainedEmbeddings: {  // Start text embeddings from word vectors (see word-vectors.js)
+    path: null,            // GloVe or word2vec text file: a path (Node.js) or URL; the page can upload one instead
+    trainable: true        // false freezes each initialized embedding layer, including the rows of words without a vector
+  },
+  numericScaling: 'standardize', // 'standardize' (z-score) or 'normalize' (min-max) numeric columns
+  categoricalEncoding: 'onehot', // 'onehot' or 'embedding' for categorical columns
   modelSavePath: 'model/', // Path where to save the trained model
+  dataSource: {            // Where training rows come from (see data-sources.js)
+    type: 'http'           // 'http' (apiEndpoint + dbConfig), 'csv', 'jsonl' or 'json' with a path
+  },
   dbConfig: {
     host: 'localhost',
     username: 'root',
@@ -20,25 +114,67 @@ const config = {
   }
 };
 
+// config.model settings that shape the layers; fine-tuning keeps the trained ones
+const ARCHITECTURE_SETTINGS = ['architecture', 'bidirectional', 'recurrentUnits', 'filters', 'kernelSize',
+  'hiddenUnits', 'activation', 'dropout'];
+
 // Main WordAI class
 class WordAI {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object} options.storage - localStorage-like store for preprocessors and label map
+   * @param {string} options.modelUrl - TensorFlow.js save URL for the model
+   * @param {DataSource} options.dataSource - Where rows come from (defaults to config.dataSource)
+   * @param {ModelRegistry} options.registry - Where saved versions are kept (defaults to IndexedDB when available)
+   * @param {File|string} options.wordVectors - Pretrained word vectors for text embeddings (defaults to config.pretrainedEmbeddings.path)
+   */
+  constructor(options = {}) {
     this.model = null;
     this.features = [];
     this.labels = [];
     this.labelMap = {};
+    this.multiLabel = config.multiLabel;
+    this.labelThresholds = null; // Multi-label: probability needed per class index, tuned by fit()
+    this.regression = config.task === 'regression';
+    this.targetScaling = null;   // Regression: { mean, std } of the label; the model predicts standardized values
+    this.labelStats = null;      // Count, sum and sum of squares of the numeric training labels
     this.featureColumns = [];
     this.labelColumn = null;
     this.preprocessors = {};
     this.schema = null;
     this.totalRecords = 0;
     this.dataLoaded = false;
+    this.splits = null;
     this.trainingLogs = [];
+    this.trainingTime = 0;
+    this.trainingSummary = null;  // Epochs run, best epoch and stop reason of the last fit()
+    this.trainingChart = null;
+    this.evaluationResults = null;
+    this.searchResults = [];   // Leaderboard of the last hyperparameter search, best first
+    this.searching = false;
+    this.batchResults = null;  // Last batch prediction: { columns, rows }
+    this.watermark = null;     // Last row trained on: { column, value, rowCount }
+    this.after = null;         // Only fetch rows whose id column is above this ({ column, value })
+    this.startOffset = 0;      // First row offset to fetch
+    this.fineTuning = false;
+    this.newRowsOnly = false;  // The splits hold only the rows added since a fine-tuned model's base
+    this.modelConfig = null;   // ARCHITECTURE_SETTINGS the current model was built with
+    this.wordVectorSource = options.wordVectors || config.pretrainedEmbeddings.path;
+    this.pretrainedRows = {};  // Text column -> Map of embedding row index -> pretrained vector
+    this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    this.modelUrl = options.modelUrl || 'localstorage://word-ai-model';
+    this.dataSource = options.dataSource || createDataSource({
+      endpoint: config.apiEndpoint,
+      dbConfig: config.dbConfig,
+      ...config.dataSource
+    });
+    this.registry = options.registry || (ModelRegistry.isSupported() ? new ModelRegistry() : null);
     
-    // UI elements
-    this.logElement = document.getElementById('training-log');
-    this.progressElement = document.getElementById('training-progress');
-    this.statusElement = document.getElementById('status');
+    // UI elements (absent when running headless under Node)
+    this.hasUI = typeof document !== 'undefined';
+    this.logElement = this.hasUI ? document.getElementById('training-log') : null;
+    this.progressElement = this.hasUI ? document.getElementById('training-progress') : null;
+    this.statusElement = this.hasUI ? document.getElementById('status') : null;
   }
   
   /**
@@ -46,22 +182,16 @@ class WordAI {
    */
   async init() {
     this.updateStatus('Initializing...');
+    this.renderSettings();
     
     try {
-      // Get the database schema to understand our data
-      await this.fetchSchema();
-      
-      // Get total record count
-      await this.fetchTotalRecords();
-      
-      // Load initial batch of data
-      await this.loadData();
-      
-      // Initialize TensorFlow model
-      this.initModel();
+      await this.prepare();
       
       this.updateStatus('Ready to train');
-      document.getElementById('train-button').disabled = false;
+      this.setButtonEnabled('train-button', true);
+      this.setButtonEnabled('search-button', !config.streaming);
+      
+      await this.renderModelRegistry();
     } catch (error) {
       this.updateStatus(`Error during initialization: ${error.message}`, true);
       console.error(error);
@@ -69,544 +199,2927 @@ class WordAI {
   }
   
   /**
-   * Fetch database schema to understand the structure of the word table
+   * Load schema and data and build the model. Errors are thrown to the caller.
    */
-  async fetchSchema() {
-    const response = await this.apiRequest('get_schema');
-    
-    if (response.status === 'success') {
-      this.schema = response.schema;
-      this.logMessage(`Schema loaded with ${this.schema.length} columns`);
-      
-      // Automatically determine feature columns and label column
-      // We'll use all columns except 'id' as features for now
-      this.schema.forEach(column => {
-        if (column.Field === 'id') {
-          // Skip ID field
-          return;
-        } else if (column.Key === 'PRI' || column.Field === 'category' || column.Field === 'label') {
-          // Use any Primary Key or columns named 'category' or 'label' as the label
-          this.labelColumn = column.Field;
-        } else {
-          // Use all other columns as features
-          this.featureColumns.push(column.Field);
-        }
-      });
-      
-      // If no label column was identified, use the first non-id column
-      if (!this.labelColumn && this.schema.length > 1) {
-        for (let i = 0; i < this.schema.length; i++) {
-          if (this.schema[i].Field !== 'id') {
-            this.labelColumn = this.schema[i].Field;
-            // Remove this from feature columns if it was added
-            const index = this.featureColumns.indexOf(this.labelColumn);
-            if (index > -1) {
-              this.featureColumns.splice(index, 1);
-            }
-            break;
-          }
-        }
-      }
-      
-      this.logMessage(`Selected features: ${this.featureColumns.join(', ')}`);
-      this.logMessage(`Selected label: ${this.labelColumn}`);
+  async prepare() {
+    this.newRowsOnly = false;
+    this.multiLabel = config.multiLabel;
+    this.labelThresholds = null;
+    this.regression = config.task === 'regression';
+    this.targetScaling = null;
+    this.labelStats = { count: 0, sum: 0, sumSquares: 0 };
+    
+    // Get the database schema to understand our data
+    await this.fetchSchema();
+    this.resetWatermark();
+    
+    // Get total record count
+    await this.fetchTotalRecords();
+    
+    if (config.streaming) {
+      // Only build vocabularies here; rows are fetched again page by page during training
+      await this.scanData();
     } else {
-      throw new Error(`Failed to fetch schema: ${response.message}`);
+      // Load all data into memory
+      await this.loadData();
+    }
+    
+    this.resolveTask();
+    
+    if (!config.streaming) {
+      // Partition the rows once so evaluation never sees training rows
+      this.createSplits();
+      
+      // Create vocabularies for text features from the training split only
+      await this.createVocabularies();
+    }
+    
+    this.fitTargetScaling();
+    
+    if (this.wordVectorSource) {
+      await this.loadPretrainedEmbeddings();
     }
+    
+    // Initialize TensorFlow model
+    this.initModel();
   }
   
   /**
-   * Get total record count from database
+   * Fetch database schema to understand the structure of the word table
    */
-  async fetchTotalRecords() {
-    const response = await this.apiRequest('get_count');
+  async fetchSchema() {
+    this.schema = await this.dataSource.getSchema();
+    this.logMessage(`Schema loaded with ${this.schema.length} columns`);
     
-    if (response.status === 'success') {
-      this.totalRecords = response.count;
-      this.logMessage(`Total records in database: ${this.totalRecords}`);
-    } else {
-      throw new Error(`Failed to fetch record count: ${response.message}`);
+    try {
+      this.selectColumns();
+    } finally {
+      // Shown even without a selection, so the label column can be chosen there
+      this.renderSchema();
     }
+    
+    this.logMessage(`Selected features: ${this.featureColumns.join(', ')}`);
+    this.logMessage(`Selected label: ${this.labelColumn}`);
   }
   
   /**
-   * Load data from database for training
+   * Choose the label and feature columns. Explicit config wins, then the
+   * selection saved from the Database Schema tab, then a heuristic.
    */
-  async loadData(offset = 0, limit = 1000) {
-    this.updateStatus(`Loading data (${offset}/${this.totalRecords})...`);
+  selectColumns() {
+    const fields = this.schema.map(column => column.Field);
+    const saved = this.loadColumnSelection();
     
-    // Calculate how many batches we'll need to load all data
-    const batchesToLoad = Math.ceil(this.totalRecords / limit);
-    let currentBatch = Math.floor(offset / limit) + 1;
+    const requireColumn = (column, setting) => {
+      if (!fields.includes(column)) {
+        throw new Error(`${setting} '${column}' is not a column of the table`);
+      }
+    };
     
-    const response = await this.apiRequest('get_batch', { offset, limit });
+    // Saved choices may refer to columns that no longer exist
+    const savedLabel = saved && fields.includes(saved.labelColumn) ? saved.labelColumn : null;
+    const savedFeatures = saved && Array.isArray(saved.featureColumns)
+      ? saved.featureColumns.filter(column => fields.includes(column))
+      : null;
     
-    if (response.status === 'success') {
-      this.processDataBatch(response.data);
-      
-      if (response.count === limit && offset + limit < this.totalRecords) {
-        // Update progress
-        const progress = Math.min(100, Math.round((currentBatch / batchesToLoad) * 100));
-        this.updateProgress(progress);
-        
-        // Load next batch
-        await this.loadData(offset + limit, limit);
-      } else {
-        // All data loaded
-        this.dataLoaded = true;
-        this.updateStatus(`Data loading complete. ${this.features.length} records processed.`);
-        this.updateProgress(100);
-        
-        // Create vocabulary for text features
-        await this.createVocabularies();
-      }
+    if (config.labelColumn) {
+      requireColumn(config.labelColumn, 'config.labelColumn');
+      this.labelColumn = config.labelColumn;
+    } else if (savedLabel) {
+      this.labelColumn = savedLabel;
+    } else {
+      this.labelColumn = this.guessLabelColumn();
+    }
+    
+    if (!this.labelColumn) {
+      throw new Error("No column named 'category' or 'label'; choose the label column in the Database Schema tab, " +
+        'config.labelColumn or train-cli.js --label');
+    }
+    
+    let candidates;
+    if (config.featureColumns) {
+      config.featureColumns.forEach(column => requireColumn(column, 'config.featureColumns entry'));
+      candidates = config.featureColumns;
+    } else if (savedFeatures && savedFeatures.length > 0) {
+      candidates = savedFeatures;
     } else {
-      throw new Error(`Failed to fetch data batch: ${response.message}`);
+      // Use all columns except row ids as features
+      candidates = this.schema
+        .filter(column => !this.isRowIdColumn(column))
+        .map(column => column.Field);
+    }
+    
+    this.featureColumns = candidates.filter(column => {
+      return column !== this.labelColumn && !config.excludeColumns.includes(column);
+    });
+    
+    if (this.featureColumns.length === 0) {
+      throw new Error('No feature columns selected');
     }
   }
   
   /**
-   * Process a batch of data from the database
+   * Pick a label column when none was chosen: a column named 'category' or
+   * 'label', else null. Other columns are not guessed: a key or the first
+   * column is often unique per row, which would train one class per row.
    */
-  processDataBatch(data) {
-    // Process each row and extract features and labels
-    data.forEach(row => {
-      // Extract features from the row
-      const featureValues = {};
-      
-      this.featureColumns.forEach(column => {
-        // Skip null values
-        if (row[column] !== null) {
-          featureValues[column] = row[column];
-        }
-      });
-      
-      // Extract label
-      if (row[this.labelColumn] !== null) {
-        // Track unique labels for one-hot encoding
-        if (!this.labelMap[row[this.labelColumn]]) {
-          this.labelMap[row[this.labelColumn]] = Object.keys(this.labelMap).length;
-        }
-        
-        // Add to our dataset
-        this.features.push(featureValues);
-        this.labels.push(this.labelMap[row[this.labelColumn]]);
-      }
-    });
-    
-    this.logMessage(`Processed batch with ${data.length} records. Total processed: ${this.features.length}`);
+  guessLabelColumn() {
+    const named = this.schema.find(column => !this.isRowIdColumn(column) &&
+      (column.Field === 'category' || column.Field === 'label'));
+    return named ? named.Field : null;
   }
   
   /**
-   * Create vocabularies for text features
+   * Columns that only number the rows (named 'id' or auto-increment) carry no signal
    */
-  async createVocabularies() {
-    this.updateStatus('Creating vocabularies for text features...');
-    
-    // For each text feature, create a vocabulary
-    for (const column of this.featureColumns) {
-      // Get all unique values for this column
-      const allValues = this.features.map(f => f[column] || '').filter(v => v !== '');
-      
-      // For text columns, create a word-level vocabulary
-      // Here we use a simple space-based tokenization
-      let allWords = new Set();
-      
-      allValues.forEach(text => {
-        if (typeof text === 'string') {
-          const words = text.toLowerCase().split(/\s+/);
-          words.forEach(word => {
-            if (word) allWords.add(word);
-          });
-        }
-      });
-      
-      // Create a mapping from word to index
-      const vocabulary = {};
-      Array.from(allWords).forEach((word, index) => {
-        vocabulary[word] = index + 1; // Reserve 0 for unknown words
-      });
-      
-      this.preprocessors[column] = {
-        type: 'text',
-        vocabulary: vocabulary,
-        vocabSize: Object.keys(vocabulary).length + 1 // +1 for unknown token
-      };
-      
-      this.logMessage(`Created vocabulary for column '${column}' with ${Object.keys(vocabulary).length} unique words`);
-    }
-    
-    // Create label mapping
-    this.logMessage(`Created label mapping with ${Object.keys(this.labelMap).length} unique classes`);
+  isRowIdColumn(column) {
+    return column.Field === 'id' || /auto_increment/i.test(column.Extra || '');
   }
   
   /**
-   * Initialize TensorFlow model architecture
+   * Load the column selection saved from the Database Schema tab
    */
-  initModel() {
-    this.updateStatus('Initializing TensorFlow model...');
-    
-    // Determine input shape based on features
-    const inputLayers = {};
-    const embeddingLayers = [];
+  loadColumnSelection() {
+    if (!this.storage) return null;
     
-    // Create embedding layers for each text feature
-    for (const column of this.featureColumns) {
-      const preprocessor = this.preprocessors[column];
-      
-      if (preprocessor.type === 'text') {
-        // Create an input layer for this feature
-        const inputLayer = tf.input({
-          name: column,
-          shape: [null], // Variable length sequences
-          dtype: 'int32'
-        });
-        
-        inputLayers[column] = inputLayer;
-        
-        // Create an embedding layer for this feature
-        const embeddingSize = Math.min(50, Math.ceil(Math.sqrt(preprocessor.vocabSize)));
-        const embedding = tf.layers.embedding({
-          inputDim: preprocessor.vocabSize,
-          outputDim: embeddingSize,
-          maskZero: true,
-          name: `${column}_embedding`
-        }).apply(inputLayer);
-        
-        // Global pooling to handle variable sequence lengths
-        const pooled = tf.layers.globalAveragePooling1d({
-          name: `${column}_pooling`
-        }).apply(embedding);
-        
-        embeddingLayers.push(pooled);
-      }
+    try {
+      return JSON.parse(this.storage.getItem('word-ai-column-selection') || 'null');
+    } catch (error) {
+      return null;
     }
+  }
+  
+  /**
+   * Persist a column selection ({ labelColumn, featureColumns }), or clear it with null
+   */
+  saveColumnSelection(selection) {
+    if (!this.storage) return;
     
-    // Combine all feature embeddings
-    let combined;
-    if (embeddingLayers.length > 1) {
-      combined = tf.layers.concatenate({
-        name: 'combined_features'
-      }).apply(embeddingLayers);
-    } else if (embeddingLayers.length === 1) {
-      combined = embeddingLayers[0];
+    if (selection) {
+      this.storage.setItem('word-ai-column-selection', JSON.stringify(selection));
     } else {
-      throw new Error('No usable feature columns found for modeling');
+      this.storage.removeItem('word-ai-column-selection');
     }
+  }
+  
+  /**
+   * Show the schema in the Database Schema tab with controls to choose the
+   * label and feature columns
+   */
+  renderSchema() {
+    const container = this.hasUI ? document.getElementById('schema-info') : null;
+    if (!container) return;
     
-    // Add dense layers
-    const hidden1 = tf.layers.dense({
-      units: 64,
-      activation: 'relu',
-      name: 'hidden1'
-    }).apply(combined);
-    
-    const dropout = tf.layers.dropout({
-      rate: 0.2,
-      name: 'dropout'
-    }).apply(hidden1);
-    
-    const hidden2 = tf.layers.dense({
-      units: 32,
-      activation: 'relu',
-      name: 'hidden2'
-    }).apply(dropout);
+    container.textContent = '';
     
-    // Output layer
-    const numClasses = Object.keys(this.labelMap).length;
-    const output = tf.layers.dense({
-      units: numClasses,
-      activation: 'softmax',
-      name: 'output'
-    }).apply(hidden2);
+    const table = document.createElement('table');
+    table.className = 'schema-table';
     
-    // Create and compile the model
-    this.model = tf.model({
-      inputs: Object.values(inputLayers),
-      outputs: output
+    const headerRow = table.insertRow();
+    ['Column', 'Type', 'Key', 'Label', 'Feature'].forEach(title => {
+      const th = document.createElement('th');
+      th.textContent = title;
+      headerRow.appendChild(th);
     });
     
-    this.model.compile({
-      optimizer: 'adam',
-      loss: 'sparseCategoricalCrossentropy',
-      metrics: ['accuracy']
+    this.schema.forEach(column => {
+      const row = table.insertRow();
+      [column.Field, column.Type, column.Key || ''].forEach(text => {
+        row.insertCell().textContent = text;
+      });
+      
+      const labelInput = document.createElement('input');
+      labelInput.type = 'radio';
+      labelInput.name = 'label-column';
+      labelInput.value = column.Field;
+      labelInput.checked = column.Field === this.labelColumn;
+      row.insertCell().appendChild(labelInput);
+      
+      const featureInput = document.createElement('input');
+      featureInput.type = 'checkbox';
+      featureInput.className = 'feature-column';
+      featureInput.value = column.Field;
+      featureInput.checked = this.featureColumns.includes(column.Field);
+      row.insertCell().appendChild(featureInput);
     });
     
-    // Log model summary
-    this.logMessage('Model initialized with architecture:');
-    const layers = this.model.layers;
-    for (let i = 0; i < layers.length; i++) {
-      this.logMessage(`- ${layers[i].name}: ${JSON.stringify(layers[i].outputShape)}`);
-    }
+    container.appendChild(table);
+    
+    const applyButton = document.createElement('button');
+    applyButton.id = 'apply-columns-button';
+    applyButton.textContent = 'Apply and Reload Data';
+    container.appendChild(applyButton);
+    
+    const resetButton = document.createElement('button');
+    resetButton.id = 'reset-columns-button';
+    resetButton.textContent = 'Reset to Automatic';
+    container.appendChild(resetButton);
   }
   
   /**
-   * Prepare training data in TensorFlow format
+   * Read the column selection from the Database Schema tab controls
    */
-  prepareTrainingData() {
-    this.updateStatus('Preparing training data...');
+  readColumnSelection() {
+    const labelInput = document.querySelector('#schema-info input[name="label-column"]:checked');
+    if (!labelInput) {
+      throw new Error('Choose a label column');
+    }
     
-    // For each feature, prepare the corresponding tensor
-    const inputTensors = {};
+    const featureColumns = Array.from(document.querySelectorAll('#schema-info input.feature-column:checked'))
+      .map(input => input.value)
+      .filter(column => column !== labelInput.value);
     
-    for (const column of this.featureColumns) {
-      const preprocessor = this.preprocessors[column];
-      
-      if (preprocessor.type === 'text') {
-        // Convert text to token sequences
-        const sequences = this.features.map(f => {
-          const text = f[column] || '';
-          if (typeof text !== 'string') return [0]; // Handle non-string values
-          
-          // Tokenize and convert to indices
-          return text.toLowerCase().split(/\s+/).map(word => {
-            return preprocessor.vocabulary[word] || 0; // 0 for unknown words
-          });
-        });
-        
-        // Pad sequences to same length
-        const maxLength = Math.max(...sequences.map(s => s.length));
-        const paddedSequences = sequences.map(seq => {
-          if (seq.length >= maxLength) return seq.slice(0, maxLength);
-          return [...seq, ...Array(maxLength - seq.length).fill(0)];
-        });
-        
-        // Create tensor
-        inputTensors[column] = tf.tensor2d(paddedSequences, [paddedSequences.length, maxLength], 'int32');
-      }
+    if (featureColumns.length === 0) {
+      throw new Error('Choose at least one feature column other than the label');
     }
     
-    // Create labels tensor
-    const labelsTensor = tf.tensor1d(this.labels, 'int32');
-    
     return {
-      xs: inputTensors,
-      ys: labelsTensor
+      labelColumn: labelInput.value,
+      featureColumns
     };
   }
   
   /**
-   * Start model training process
+   * Start tracking which rows the model has seen, by the table's row id
+   * column when it has one and by row count otherwise
    */
-  async trainModel() {
-    try {
-      this.updateStatus('Starting training...');
-      document.getElementById('train-button').disabled = true;
+  resetWatermark() {
+    const idColumn = this.schema.find(column => this.isRowIdColumn(column));
+    
+    this.watermark = {
+      column: idColumn ? idColumn.Field : null,
+      value: null,
+      rowCount: 0
+    };
+    this.after = null;
+    this.startOffset = 0;
+  }
+  
+  /**
+   * Move the watermark past a page of fetched rows
+   */
+  advanceWatermark(rows) {
+    const watermark = this.watermark;
+    watermark.rowCount += rows.length;
+    
+    if (!watermark.column) return;
+    
+    rows.forEach(row => {
+      const id = row[watermark.column] === null ? NaN : Number(row[watermark.column]);
+      if (Number.isFinite(id) && (watermark.value === null || id > watermark.value)) {
+        watermark.value = id;
+      }
+    });
+  }
+  
+  /**
+   * Show the editable settings (see config-settings.js) as a form in the Settings tab
+   */
+  renderSettings() {
+    const container = this.hasUI ? document.getElementById('settings-form') : null;
+    if (!container) return;
+    
+    container.textContent = '';
+    let fieldset = null;
+    
+    CONFIG_RULES.forEach(rule => {
+      if (!fieldset || fieldset.dataset.group !== rule.group) {
+        fieldset = document.createElement('fieldset');
+        fieldset.dataset.group = rule.group;
+        const legend = document.createElement('legend');
+        legend.textContent = rule.group;
+        fieldset.appendChild(legend);
+        container.appendChild(fieldset);
+      }
       
-      // Prepare data
-      const trainingData = this.prepareTrainingData();
+      const value = getConfigValue(config, rule.path);
+      let input;
       
-      // Set up training callbacks
-      const callbacks = {
-        onEpochEnd: (epoch, logs) => {
-          const progress = Math.round(((epoch + 1) / config.epochs) * 100);
-          this.updateProgress(progress);
-          
-          const logMessage = `Epoch ${epoch + 1}/${config.epochs} - loss: ${logs.loss.toFixed(4)} - accuracy: ${logs.acc.toFixed(4)}`;
-          if (logs.val_loss) {
-            logMessage += ` - val_loss: ${logs.val_loss.toFixed(4)} - val_acc: ${logs.val_acc.toFixed(4)}`;
-          }
-          
-          this.logMessage(logMessage);
-          this.trainingLogs.push(logs);
-        },
-        onTrainEnd: () => {
-          this.updateStatus('Training complete!');
-          document.getElementById('evaluate-button').disabled = false;
-          document.getElementById('save-button').disabled = false;
+      if (rule.type === 'enum') {
+        input = document.createElement('select');
+        rule.values.forEach(option => {
+          const element = document.createElement('option');
+          element.value = option;
+          element.textContent = option;
+          input.appendChild(element);
+        });
+        input.value = value;
+      } else {
+        input = document.createElement('input');
+        if (rule.type === 'boolean') {
+          input.type = 'checkbox';
+          input.checked = value;
+        } else {
+          input.type = 'text';
+          input.value = value === null ? '' : (Array.isArray(value) ? value.join(', ') : value);
         }
-      };
-      
-      // Train the model
-      await this.model.fit(trainingData.xs, trainingData.ys, {
-        epochs: config.epochs,
-        batchSize: config.batchSize,
-        validationSplit: config.validationSplit,
-        callbacks: callbacks
-      });
-      
-      // Clean up tensors
-      Object.values(trainingData.xs).forEach(tensor => tensor.dispose());
-      trainingData.ys.dispose();
+      }
+      input.dataset.path = rule.path;
       
-      this.updateStatus('Training complete! You can now evaluate or save the model.');
-    } catch (error) {
-      this.updateStatus(`Error during training: ${error.message}`, true);
-      console.error(error);
-      document.getElementById('train-button').disabled = false;
+      const label = document.createElement('label');
+      label.className = 'setting';
+      label.appendChild(document.createTextNode(`${rule.label} `));
+      label.appendChild(input);
+      fieldset.appendChild(label);
+    });
+    
+    // The search space is edited as JSON in the Search tab
+    const searchSpace = document.getElementById('search-space');
+    if (searchSpace) {
+      searchSpace.value = JSON.stringify(config.search.space, null, 2);
     }
   }
   
   /**
-   * Evaluate the trained model
+   * Read the Settings tab form back into a settings object. Values are not
+   * validated here; see validateConfig().
    */
-  async evaluateModel() {
-    try {
-      this.updateStatus('Evaluating model...');
-      
-      // Prepare evaluation data
-      const evalData = this.prepareTrainingData();
-      
-      // Evaluate the model
-      const result = await this.model.evaluate(evalData.xs, evalData.ys);
-      
-      // Get loss and accuracy
-      const loss = result[0].dataSync()[0];
-      const accuracy = result[1].dataSync()[0];
-      
-      this.logMessage(`Evaluation results - Loss: ${loss.toFixed(4)}, Accuracy: ${accuracy.toFixed(4)}`);
-      this.updateStatus(`Evaluation complete - Loss: ${loss.toFixed(4)}, Accuracy: ${accuracy.toFixed(4)}`);
+  readSettings() {
+    const settings = {};
+    
+    CONFIG_RULES.forEach(rule => {
+      const input = document.querySelector(`#settings-form [data-path="${rule.path}"]`);
+      if (!input) return;
       
-      // Clean up tensors
-      result.forEach(tensor => tensor.dispose());
-      Object.values(evalData.xs).forEach(tensor => tensor.dispose());
-      evalData.ys.dispose();
+      let value;
+      if (rule.type === 'boolean') {
+        value = input.checked;
+      } else if (rule.type === 'enum') {
+        value = input.value;
+      } else if (rule.type === 'string') {
+        value = input.value.trim() === '' && rule.nullable ? null : input.value;
+      } else if (rule.type === 'integerList') {
+        value = input.value.split(',').map(item => item.trim()).filter(item => item).map(Number);
+      } else if (rule.type === 'stringList') {
+        value = input.value.split(',').map(item => item.trim()).filter(item => item);
+      } else {
+        value = input.value.trim() === '' && rule.nullable ? null : Number(input.value);
+      }
       
-      return { loss, accuracy };
-    } catch (error) {
-      this.updateStatus(`Error during evaluation: ${error.message}`, true);
-      console.error(error);
-    }
+      setConfigValue(settings, rule.path, value);
+    });
+    
+    return settings;
+  }
+  
+  /**
+   * Get total record count from database
+   */
+  async fetchTotalRecords() {
+    this.totalRecords = await this.dataSource.getCount(this.after);
+    
+    if (this.after) {
+      this.logMessage(`Records with ${this.after.column} above ${this.after.value}: ${this.totalRecords}`);
+    } else {
+      this.logMessage(`Total records in database: ${this.totalRecords}`);
+    }
+  }
+  
+  /**
+   * Load data from database for training
+   */
+  async loadData(offset = this.startOffset, limit = 1000) {
+    this.updateStatus(`Loading data (${offset}/${this.totalRecords})...`);
+    
+    // Calculate how many batches we'll need to load all data
+    const batchesToLoad = Math.ceil((this.totalRecords - this.startOffset) / limit);
+    let currentBatch = Math.floor((offset - this.startOffset) / limit) + 1;
+    
+    const rows = await this.dataSource.getBatch(offset, limit, this.after);
+    this.processDataBatch(rows);
+    
+    if (rows.length === limit && offset + limit < this.totalRecords) {
+      // Update progress
+      const progress = Math.min(100, Math.round((currentBatch / batchesToLoad) * 100));
+      this.updateProgress(progress);
+      
+      // Load next batch
+      await this.loadData(offset + limit, limit);
+    } else {
+      // All data loaded
+      this.dataLoaded = true;
+      this.updateStatus(`Data loading complete. ${this.features.length} records processed.`);
+      this.updateProgress(100);
+    }
+  }
+  
+  /**
+   * Process a batch of data from the database
+   */
+  processDataBatch(data) {
+    this.advanceWatermark(data);
+    
+    // Process each row and extract features and labels
+    data.forEach(row => {
+      const sample = this.extractSample(row);
+      
+      if (sample) {
+        // Add to our dataset
+        this.features.push(sample.features);
+        this.labels.push(sample.label);
+      }
+    });
+    
+    this.logMessage(`Processed batch with ${data.length} records. Total processed: ${this.features.length}`);
+  }
+  
+  /**
+   * Extract the feature values and label index from a database row; in
+   * multi-label mode the label is the list of indices of the row's labels,
+   * in regression mode the label's number. Returns null for rows without a
+   * (known) label.
+   */
+  extractSample(row, registerLabels = true) {
+    const labelValue = row[this.labelColumn];
+    if (labelValue === null || labelValue === undefined) {
+      return null;
+    }
+    
+    const target = String(labelValue).trim() === '' ? NaN : Number(labelValue);
+    if (this.regression) {
+      return Number.isFinite(target) ? { features: this.extractFeatures(row), label: target } : null;
+    }
+    
+    // Track unique labels for the output layer
+    const indices = [];
+    (this.multiLabel ? this.splitLabels(labelValue) : [labelValue]).forEach(value => {
+      if (!Object.prototype.hasOwnProperty.call(this.labelMap, value)) {
+        if (!registerLabels) return;
+        this.labelMap[value] = Object.keys(this.labelMap).length;
+      }
+      indices.push(this.labelMap[value]);
+    });
+    if (indices.length === 0) {
+      return null;
+    }
+    
+    return {
+      features: this.extractFeatures(row),
+      label: this.multiLabel ? indices.sort((a, b) => a - b) : indices[0]
+    };
+  }
+  
+  /**
+   * Feature values of a row, skipping null values
+   */
+  extractFeatures(row) {
+    const featureValues = {};
+    this.featureColumns.forEach(column => {
+      if (row[column] !== null) {
+        featureValues[column] = row[column];
+      }
+    });
+    return featureValues;
+  }
+  
+  /**
+   * Settle classification or regression once the labels have been read.
+   * With config.task 'auto', a label column of numbers with more distinct
+   * values than config.maxCategoricalValues is a regression target: the
+   * class indices read so far are turned back into their numbers.
+   */
+  resolveTask() {
+    const values = Object.keys(this.labelMap);
+    const numeric = values.every(value => value.trim() !== '' && Number.isFinite(Number(value)));
+    
+    if (config.task === 'auto' && !this.multiLabel && numeric && values.length > config.maxCategoricalValues) {
+      const inverseLabelMap = this.getInverseLabelMap();
+      this.labels = this.labels.map(index => Number(inverseLabelMap[index]));
+      this.labelMap = {};
+      this.regression = true;
+      this.logMessage(`Label column '${this.labelColumn}' holds ${values.length} distinct numbers; training a regression model`);
+    }
+  }
+  
+  /**
+   * Regression: standardize the target with the mean and deviation of the
+   * training split's labels, so the other splits do not leak into training
+   */
+  fitTargetScaling() {
+    if (!this.regression) return;
+    
+    // Streamed training labels were counted while scanning
+    if (!config.streaming) {
+      this.labelStats = { count: 0, sum: 0, sumSquares: 0 };
+      this.splits.train.forEach(index => this.countTarget(this.labels[index]));
+    }
+    
+    const { count, sum, sumSquares } = this.labelStats;
+    if (count === 0) {
+      throw new Error(`Label column '${this.labelColumn}' has no numeric values to regress on`);
+    }
+    
+    const mean = sum / count;
+    const std = Math.sqrt(Math.max(0, sumSquares / count - mean * mean));
+    this.targetScaling = { mean, std: std > 0 ? std : 1 };
+    this.logMessage(`Regression target '${this.labelColumn}': mean ${mean.toFixed(4)}, standard deviation ${std.toFixed(4)}`);
+  }
+  
+  /**
+   * Add a label to the totals of numeric labels; other labels are skipped
+   */
+  countTarget(labelValue) {
+    const target = String(labelValue).trim() === '' ? NaN : Number(labelValue);
+    if (!Number.isFinite(target)) return;
+    
+    this.labelStats.count++;
+    this.labelStats.sum += target;
+    this.labelStats.sumSquares += target * target;
+  }
+  
+  /**
+   * Multi-label: the distinct labels of a label cell, either an array or
+   * text separated by config.labelDelimiter
+   */
+  splitLabels(value) {
+    const labels = Array.isArray(value) ? value.map(String) : String(value).split(config.labelDelimiter);
+    return [...new Set(labels.map(label => label.trim()).filter(label => label))];
+  }
+  
+  /**
+   * Fetch the table page by page without keeping previous pages in memory
+   */
+  async *iterateBatches(limit = config.streamPageSize) {
+    for (let offset = this.startOffset; offset < this.totalRecords; offset += limit) {
+      const rows = await this.dataSource.getBatch(offset, limit, this.after);
+      
+      yield { offset, rows };
+      
+      if (rows.length < limit) break;
+    }
+  }
+  
+  /**
+   * First pass over the table in streaming mode: collect labels and the
+   * training split's vocabularies while discarding the rows themselves
+   */
+  async scanData() {
+    const columnStats = this.createColumnStats();
+    const splitSizes = { train: 0, validation: 0, test: 0 };
+    const trainClassCounts = {};
+    let processed = 0;
+    
+    for await (const { offset, rows } of this.iterateBatches()) {
+      this.updateStatus(`Scanning data (${offset}/${this.totalRecords})...`);
+      this.advanceWatermark(rows);
+      
+      rows.forEach((row, i) => {
+        const sample = this.extractSample(row);
+        if (sample) {
+          const split = this.assignStreamingSplit(offset + i);
+          splitSizes[split]++;
+          if (split === 'train') {
+            this.collectStats(columnStats, sample.features);
+            // Fine-tuning keeps the trained target scaling
+            if (!this.fineTuning) this.countTarget(row[this.labelColumn]);
+            trainClassCounts[sample.label] = (trainClassCounts[sample.label] || 0) + 1;
+          }
+          processed++;
+        }
+      });
+      
+      this.updateProgress(Math.min(100, Math.round(((offset + rows.length) / this.totalRecords) * 100)));
+    }
+    
+    this.dataLoaded = true;
+    this.updateStatus(`Data scan complete. ${processed} records processed.`);
+    this.updateProgress(100);
+    
+    // Streaming splits are assigned per row, so they cannot be stratified
+    this.splits = { sizes: splitSizes, trainClassCounts };
+    this.logMessage(`Streaming split (by row hash): ${splitSizes.train} train, ${splitSizes.validation} validation, ${splitSizes.test} test`);
+    
+    if (this.fineTuning) {
+      this.extendPreprocessors(columnStats);
+    } else {
+      this.buildPreprocessors(columnStats);
+    }
+  }
+  
+  /**
+   * Create vocabularies for text features, and scaling or category
+   * mappings for numeric and categorical features, from the training split
+   * only so the validation and test rows stay unseen
+   */
+  async createVocabularies() {
+    this.updateStatus('Creating vocabularies for text features...');
+    
+    const columnStats = this.createColumnStats();
+    this.splits.train.forEach(index => this.collectStats(columnStats, this.features[index]));
+    
+    if (this.fineTuning) {
+      this.extendPreprocessors(columnStats);
+    } else {
+      this.buildPreprocessors(columnStats);
+    }
+  }
+  
+  /**
+   * Create empty statistics for every feature column
+   */
+  createColumnStats() {
+    const columnStats = {};
+    this.featureColumns.forEach(column => {
+      columnStats[column] = {
+        count: 0,             // Non-null values
+        numericCount: 0,      // Values that parse as finite numbers
+        sum: 0,
+        sumSquares: 0,
+        min: Infinity,
+        max: -Infinity,
+        multiToken: false,    // Any value containing whitespace
+        values: new Map(),    // Distinct raw values (tracking stops past maxCategoricalValues)
+        words: new Map(),     // Word -> number of occurrences
+        documents: new Map(), // Word -> number of values containing it (for TF-IDF)
+        tokenizer: this.createColumnTokenizer(column)
+      };
+    });
+    return columnStats;
+  }
+  
+  /**
+   * Tokenizer for a feature column: the saved one when fine-tuning, else
+   * config.tokenizer with the column's config.columnTokenizers entry over it
+   */
+  createColumnTokenizer(column) {
+    if (this.fineTuning && this.preprocessors[column]) {
+      return tokenizerFor(this.preprocessors[column]);
+    }
+    return createTokenizer({ ...config.tokenizer, ...(config.columnTokenizers[column] || {}) });
+  }
+  
+  /**
+   * Add one row's features to the per-column statistics.
+   * Text is split into words with the column's tokenizer.
+   */
+  collectStats(columnStats, featureValues) {
+    for (const column of this.featureColumns) {
+      const value = featureValues[column];
+      if (value === null || value === undefined || value === '') continue;
+      
+      const stats = columnStats[column];
+      const text = String(value);
+      stats.count++;
+      
+      const number = Number(text);
+      if (Number.isFinite(number)) {
+        stats.numericCount++;
+        stats.sum += number;
+        stats.sumSquares += number * number;
+        stats.min = Math.min(stats.min, number);
+        stats.max = Math.max(stats.max, number);
+      }
+      
+      if (stats.values && !stats.values.has(text)) {
+        stats.values.set(text, stats.values.size + 1);
+        if (stats.values.size > config.maxCategoricalValues) {
+          // Too many distinct values to be categorical; stop tracking them
+          stats.values = null;
+        }
+      }
+      
+      const words = stats.tokenizer.splitWords(text);
+      if (words.length > 1) stats.multiToken = true;
+      words.forEach(word => stats.words.set(word, (stats.words.get(word) || 0) + 1));
+      new Set(words).forEach(word => stats.documents.set(word, (stats.documents.get(word) || 0) + 1));
+    }
+  }
+  
+  /**
+   * Decide whether a column is 'numeric', 'categorical' or 'text' from its
+   * DESCRIBE type and the collected statistics, unless config.columnTypes forces one
+   */
+  inferColumnType(column, stats) {
+    if (config.columnTypes[column]) {
+      return config.columnTypes[column];
+    }
+    
+    const schemaColumn = (this.schema || []).find(c => c.Field === column);
+    const sqlType = schemaColumn ? String(schemaColumn.Type).toLowerCase() : '';
+    
+    if (/^(enum|set|bool)/.test(sqlType)) {
+      return 'categorical';
+    }
+    
+    // Numeric by declaration, or a text column whose values are all numbers
+    const allNumeric = stats.count > 0 && stats.numericCount === stats.count;
+    if (/int|decimal|numeric|float|double|real/.test(sqlType) || allNumeric) {
+      return 'numeric';
+    }
+    
+    // A handful of repeated single-token values is an enum in disguise
+    if (stats.values && !stats.multiToken && stats.count > 0 && stats.values.size <= stats.count / 2) {
+      return 'categorical';
+    }
+    
+    return 'text';
+  }
+  
+  /**
+   * Turn the collected column statistics into preprocessors
+   */
+  buildPreprocessors(columnStats) {
+    for (const column of this.featureColumns) {
+      const stats = columnStats[column];
+      const type = this.inferColumnType(column, stats);
+      
+      if (type === 'numeric') {
+        const mean = stats.numericCount ? stats.sum / stats.numericCount : 0;
+        const variance = stats.numericCount ? stats.sumSquares / stats.numericCount - mean * mean : 0;
+        
+        this.preprocessors[column] = {
+          type: 'numeric',
+          scaling: config.numericScaling,
+          mean: mean,
+          std: Math.sqrt(Math.max(0, variance)),
+          min: stats.numericCount ? stats.min : 0,
+          max: stats.numericCount ? stats.max : 0
+        };
+        
+        this.logMessage(`Column '${column}' is numeric (${config.numericScaling}, mean ${mean.toFixed(2)})`);
+      } else if (type === 'categorical') {
+        // Forced categorical columns may have stopped tracking values; fall back to their words
+        const values = Array.from((stats.values || stats.words).keys());
+        
+        // Create a mapping from category to index
+        const categories = {};
+        values.forEach((value, index) => {
+          categories[value] = index + 1; // Reserve 0 for unknown or missing values
+        });
+        
+        this.preprocessors[column] = {
+          type: 'categorical',
+          encoding: config.categoricalEncoding,
+          categories: categories,
+          numCategories: values.length + 1 // +1 for unknown value
+        };
+        
+        this.logMessage(`Column '${column}' is categorical with ${values.length} values (${config.categoricalEncoding})`);
+      } else {
+        this.preprocessors[column] = this.buildVocabulary(stats);
+        
+        const vocabStats = this.preprocessors[column].stats;
+        this.logMessage(`Created vocabulary for column '${column}' (${stats.tokenizer.type} tokens) with ${vocabStats.keptWords} of ${vocabStats.distinctWords} unique tokens ` +
+          `(${vocabStats.droppedByFrequency} below minimum frequency, ${vocabStats.droppedBySize} over size limit), ` +
+          `covering ${(vocabStats.coverage * 100).toFixed(1)}% of tokens with ${config.oovBuckets} OOV buckets`);
+      }
+    }
+    
+    // Create label mapping
+    if (!this.regression) {
+      this.logMessage(`Created label mapping with ${Object.keys(this.labelMap).length} unique classes`);
+      this.setMetric('classes-metric', Object.keys(this.labelMap).length);
+    }
+  }
+  
+  /**
+   * Grow the preprocessors of a trained model with the words and categories
+   * found in new rows. Existing indices are kept so the trained weights still
+   * apply; numeric scaling is left unchanged for the same reason.
+   */
+  extendPreprocessors(columnStats) {
+    const isNew = (mapping, key) => !Object.prototype.hasOwnProperty.call(mapping, key);
+    
+    for (const column of this.featureColumns) {
+      const preprocessor = this.preprocessors[column];
+      const stats = columnStats[column];
+      
+      if (preprocessor.type === 'text') {
+        // New tokens come from the saved tokenizer; learned subwords stay as they were
+        const tokenStats = stats.tokenizer.countTokens(stats);
+        const ranked = Array.from(tokenStats.words.entries())
+          .filter(([word, count]) => isNew(preprocessor.vocabulary, word) && count >= config.minTokenFrequency)
+          .sort((a, b) => b[1] - a[1]);
+        const room = config.maxVocabSize ? Math.max(0, config.maxVocabSize - preprocessor.numWords) : ranked.length;
+        const added = ranked.slice(0, room);
+        
+        // New words go after the existing ones; the OOV buckets move up behind them
+        const baseNumWords = preprocessor.numWords;
+        added.forEach(([word]) => {
+          preprocessor.numWords++;
+          preprocessor.vocabulary[word] = preprocessor.numWords;
+        });
+        if (preprocessor.idf) {
+          preprocessor.idf.splice(baseNumWords + 1, 0, ...added.map(([word]) => this.inverseDocumentFrequency(tokenStats, word)));
+        }
+        preprocessor.vocabSize = preprocessor.numWords + 1 + preprocessor.oovBuckets;
+        preprocessor.stats.keptWords = preprocessor.numWords;
+        preprocessor.stats.addedWords = (preprocessor.stats.addedWords || 0) + added.length;
+        
+        this.logMessage(`Added ${added.length} new tokens to the vocabulary of '${column}' (${preprocessor.numWords} tokens)`);
+      } else if (preprocessor.type === 'categorical') {
+        const added = Array.from((stats.values || stats.words).keys())
+          .filter(value => isNew(preprocessor.categories, value));
+        
+        added.forEach(value => {
+          preprocessor.categories[value] = preprocessor.numCategories;
+          preprocessor.numCategories++;
+        });
+        
+        this.logMessage(`Added ${added.length} new values to categorical column '${column}'`);
+      }
+    }
+    
+    this.logMessage(`Label mapping now has ${Object.keys(this.labelMap).length} classes`);
+    this.setMetric('classes-metric', Object.keys(this.labelMap).length);
+  }
+  
+  /**
+   * Build a text preprocessor from a column's word counts, keeping the most
+   * frequent tokens subject to config.minTokenFrequency and config.maxVocabSize.
+   * The column's tokenizer is trained first and saved with the preprocessor.
+   * Index 0 is padding/unknown, 1..N are tokens and the last config.oovBuckets
+   * indices receive hashed out-of-vocabulary tokens. The tfidf architecture
+   * also gets each index's inverse document frequency.
+   */
+  buildVocabulary(wordStats) {
+    const tokenizer = wordStats.tokenizer.train(wordStats.words);
+    const stats = tokenizer.countTokens(wordStats);
+    
+    // Most frequent first; the stable sort keeps first-seen order among ties
+    const ranked = Array.from(stats.words.entries()).sort((a, b) => b[1] - a[1]);
+    const frequent = ranked.filter(([, count]) => count >= config.minTokenFrequency);
+    const kept = config.maxVocabSize ? frequent.slice(0, config.maxVocabSize) : frequent;
+    
+    // Create a mapping from word to index
+    const vocabulary = {};
+    kept.forEach(([word], index) => {
+      vocabulary[word] = index + 1; // Reserve 0 for unknown words
+    });
+    
+    const totalWords = ranked.reduce((sum, [, count]) => sum + count, 0);
+    const keptOccurrences = kept.reduce((sum, [, count]) => sum + count, 0);
+    const encoding = config.model.architecture === 'tfidf' ? 'tfidf' : 'sequence';
+    
+    return {
+      type: 'text',
+      encoding: encoding,
+      // OOV buckets mix unseen words, so they get the weight of the rarest word
+      idf: encoding === 'tfidf' ? [
+        0,
+        ...kept.map(([word]) => this.inverseDocumentFrequency(stats, word)),
+        ...Array(config.oovBuckets).fill(this.inverseDocumentFrequency(stats, null))
+      ] : undefined,
+      vocabulary: vocabulary,
+      tokenizer: tokenizer.toJSON(),
+      numWords: kept.length,
+      oovBuckets: config.oovBuckets,
+      vocabSize: kept.length + 1 + config.oovBuckets, // +1 for unknown token
+      stats: {
+        distinctWords: ranked.length,
+        totalWords: totalWords,
+        keptWords: kept.length,
+        droppedByFrequency: ranked.length - frequent.length,
+        droppedBySize: frequent.length - kept.length,
+        coverage: totalWords > 0 ? keptOccurrences / totalWords : 0
+      }
+    };
+  }
+  
+  /**
+   * Smoothed inverse document frequency of a word in a column's statistics
+   */
+  inverseDocumentFrequency(stats, word) {
+    const documents = (word !== null && stats.documents.get(word)) || 0;
+    return Math.log((1 + stats.count) / (1 + documents)) + 1;
+  }
+  
+  /**
+   * Vocabulary statistics of every text column, for logs and model metadata
+   */
+  getVocabularyStats() {
+    const vocabularyStats = {};
+    Object.entries(this.preprocessors).forEach(([column, preprocessor]) => {
+      if (preprocessor.type === 'text') {
+        vocabularyStats[column] = {
+          ...preprocessor.stats,
+          tokenizer: tokenizerFor(preprocessor).type,
+          pretrained: preprocessor.pretrained,
+          oovBuckets: preprocessor.oovBuckets
+        };
+      }
+    });
+    return vocabularyStats;
+  }
+  
+  /**
+   * Read the pretrained word vectors of every text column's vocabulary,
+   * record which embedding rows they initialize and report the coverage.
+   * Those columns get the vectors' embedding size. Errors are thrown to the caller.
+   */
+  async loadPretrainedEmbeddings() {
+    const textColumns = this.featureColumns.filter(column => this.preprocessors[column].type === 'text');
+    if (textColumns.length === 0) {
+      this.logMessage('Warning: no text columns to initialize from pretrained word vectors');
+      return;
+    }
+    if (config.model.architecture === 'tfidf') {
+      this.logMessage('Warning: the tfidf architecture has no embeddings; pretrained word vectors are not used');
+      return;
+    }
+    
+    const source = typeof this.wordVectorSource === 'string' ? this.wordVectorSource : this.wordVectorSource.name;
+    this.updateStatus(`Loading word vectors from ${source}...`);
+    
+    const wanted = new Set(textColumns.flatMap(column => Object.keys(this.preprocessors[column].vocabulary)));
+    const wordVectors = await WordVectors.load(this.wordVectorSource, wanted);
+    if (wordVectors.skippedLines > 0) {
+      this.logMessage(`Warning: skipped ${wordVectors.skippedLines} malformed lines in ${source}`);
+    }
+    
+    this.pretrainedRows = {};
+    textColumns.forEach(column => {
+      const preprocessor = this.preprocessors[column];
+      const rows = new Map();
+      const missing = [];
+      
+      // Vocabulary indices run from the most to the least frequent token
+      Object.entries(preprocessor.vocabulary)
+        .sort((a, b) => a[1] - b[1])
+        .forEach(([token, index]) => {
+          const vector = wordVectors.get(token);
+          if (vector) {
+            rows.set(index, vector);
+          } else {
+            missing.push(token);
+          }
+        });
+      
+      this.pretrainedRows[column] = rows;
+      preprocessor.embeddingDim = wordVectors.dimension;
+      preprocessor.pretrained = {
+        source,
+        dimension: wordVectors.dimension,
+        trainable: config.pretrainedEmbeddings.trainable,
+        foundWords: rows.size,
+        coverage: preprocessor.numWords > 0 ? rows.size / preprocessor.numWords : 0
+      };
+      
+      this.logMessage(`Pretrained vectors cover ${rows.size} of ${preprocessor.numWords} '${column}' vocabulary tokens ` +
+        `(${(preprocessor.pretrained.coverage * 100).toFixed(1)}%, ${wordVectors.dimension} dimensions, ` +
+        `${config.pretrainedEmbeddings.trainable ? 'fine-tuned' : 'frozen'})`);
+      if (missing.length > 0) {
+        this.logMessage(`  Most frequent tokens without a vector: ${missing.slice(0, 10).join(', ')}`);
+      }
+    });
+  }
+  
+  /**
+   * Initialize TensorFlow model architecture from `modelConfig` (config.model by default)
+   */
+  initModel(modelConfig = config.model) {
+    this.updateStatus('Initializing TensorFlow model...');
+    
+    this.model = this.buildModel(modelConfig);
+    this.modelConfig = architectureOf(modelConfig);
+    
+    // Log model summary
+    this.logMessage('Model initialized with architecture:');
+    const layers = this.model.layers;
+    for (let i = 0; i < layers.length; i++) {
+      this.logMessage(`- ${layers[i].name}: ${JSON.stringify(layers[i].outputShape)}`);
+    }
+  }
+  
+  /**
+   * Build and compile a model for the current preprocessors, labels and
+   * `modelConfig` (config.model by default)
+   */
+  buildModel(modelConfig = config.model) {
+    // Determine input shape based on features
+    const inputLayers = {};
+    const embeddingLayers = [];
+    const tfidf = modelConfig.architecture === 'tfidf';
+    
+    // Create an input branch for each feature
+    for (const column of this.featureColumns) {
+      const preprocessor = this.preprocessors[column];
+      
+      // Text is encoded for the architecture the vocabularies were built with
+      if (preprocessor.type === 'text' && (preprocessor.encoding === 'tfidf') !== tfidf) {
+        throw new Error(`Column '${column}' is encoded as ${preprocessor.encoding === 'tfidf' ? 'TF-IDF vectors' : 'word sequences'}; ` +
+          'reload the data after changing model.architecture to or from tfidf');
+      }
+      
+      if (preprocessor.type === 'numeric') {
+        // Scaled numbers feed the dense layers directly
+        const inputLayer = tf.input({ name: column, shape: [1], dtype: 'float32' });
+        inputLayers[column] = inputLayer;
+        embeddingLayers.push(inputLayer);
+      } else if (preprocessor.type === 'categorical' && preprocessor.encoding === 'embedding') {
+        const inputLayer = tf.input({ name: column, shape: [1], dtype: 'int32' });
+        inputLayers[column] = inputLayer;
+        
+        const embeddingSize = preprocessor.embeddingDim || this.embeddingSizeFor(preprocessor.numCategories);
+        const embedding = tf.layers.embedding({
+          inputDim: preprocessor.numCategories,
+          outputDim: embeddingSize,
+          name: `${column}_embedding`
+        }).apply(inputLayer);
+        
+        embeddingLayers.push(tf.layers.flatten({ name: `${column}_flatten` }).apply(embedding));
+      } else if (preprocessor.type === 'categorical') {
+        // One-hot vectors feed the dense layers directly
+        const inputLayer = tf.input({ name: column, shape: [preprocessor.numCategories], dtype: 'float32' });
+        inputLayers[column] = inputLayer;
+        embeddingLayers.push(inputLayer);
+      } else if (preprocessor.type === 'text' && tfidf) {
+        // TF-IDF vectors feed the output layer directly
+        const inputLayer = tf.input({ name: column, shape: [preprocessor.vocabSize], dtype: 'float32' });
+        inputLayers[column] = inputLayer;
+        embeddingLayers.push(inputLayer);
+      } else if (preprocessor.type === 'text') {
+        // Create an input layer for this feature
+        const inputLayer = tf.input({
+          name: column,
+          shape: [null], // Variable length sequences
+          dtype: 'int32'
+        });
+        
+        inputLayers[column] = inputLayer;
+        
+        // Create an embedding layer for this feature
+        const embeddingSize = preprocessor.embeddingDim || this.embeddingSizeFor(preprocessor.vocabSize);
+        const embedding = tf.layers.embedding({
+          inputDim: preprocessor.vocabSize,
+          outputDim: embeddingSize,
+          maskZero: modelConfig.architecture !== 'conv1d', // conv1d does not support masks
+          trainable: !preprocessor.pretrained || preprocessor.pretrained.trainable,
+          name: `${column}_embedding`
+        }).apply(inputLayer);
+        
+        embeddingLayers.push(this.encodeSequence(column, embedding, modelConfig));
+      }
+    }
+    
+    // Combine all feature embeddings
+    let combined;
+    if (embeddingLayers.length > 1) {
+      combined = tf.layers.concatenate({
+        name: 'combined_features'
+      }).apply(embeddingLayers);
+    } else if (embeddingLayers.length === 1) {
+      combined = embeddingLayers[0];
+    } else {
+      throw new Error('No usable feature columns found for modeling');
+    }
+    
+    // Add dense layers, with dropout between them (logistic regression has none)
+    const hiddenUnits = tfidf ? [] : modelConfig.hiddenUnits;
+    let hidden = combined;
+    hiddenUnits.forEach((units, index) => {
+      hidden = tf.layers.dense({
+        units: units,
+        activation: modelConfig.activation,
+        name: `hidden${index + 1}`
+      }).apply(hidden);
+      
+      if (modelConfig.dropout > 0 && index < hiddenUnits.length - 1) {
+        hidden = tf.layers.dropout({
+          rate: modelConfig.dropout,
+          name: `dropout${index + 1}`
+        }).apply(hidden);
+      }
+    });
+    
+    // Output layer: one probability per label, independent ones (sigmoid) for
+    // multi-label, or a single linear unit for the standardized regression target
+    let units = Object.keys(this.labelMap).length;
+    let activation = this.multiLabel ? 'sigmoid' : 'softmax';
+    if (this.regression) {
+      units = 1;
+      activation = 'linear';
+    }
+    const output = tf.layers.dense({
+      units,
+      activation,
+      name: 'output'
+    }).apply(hidden);
+    
+    // Create and compile the model
+    const model = tf.model({
+      inputs: Object.values(inputLayers),
+      outputs: output
+    });
+    
+    this.applyPretrainedRows(model);
+    this.compileModel(model);
+    
+    return model;
+  }
+  
+  /**
+   * Overwrite the initial text embedding rows of words that have a
+   * pretrained vector; the other rows keep their random values
+   */
+  applyPretrainedRows(model) {
+    Object.entries(this.pretrainedRows).forEach(([column, rows]) => {
+      const layer = model.layers.find(l => l.name === `${column}_embedding`);
+      if (!layer || rows.size === 0) return;
+      
+      const matrix = layer.getWeights()[0].arraySync();
+      rows.forEach((vector, index) => {
+        matrix[index] = Array.from(vector);
+      });
+      
+      const weights = tf.tensor2d(matrix);
+      layer.setWeights([weights]);
+      weights.dispose();
+    });
+  }
+  
+  /**
+   * Reduce a column's embedded word sequence to one vector per row with the
+   * layers modelConfig.architecture selects. Variable sequence lengths are
+   * handled by masking (pooling, lstm, gru) or global max pooling (conv1d).
+   */
+  encodeSequence(column, embedding, modelConfig = config.model) {
+    const { architecture, bidirectional, recurrentUnits, filters, kernelSize } = modelConfig;
+    
+    if (architecture === 'lstm' || architecture === 'gru') {
+      const recurrent = tf.layers[architecture]({
+        units: recurrentUnits,
+        name: `${column}_${architecture}`
+      });
+      
+      if (bidirectional) {
+        return tf.layers.bidirectional({
+          layer: recurrent,
+          mergeMode: 'concat',
+          name: `${column}_bidirectional`
+        }).apply(embedding);
+      }
+      return recurrent.apply(embedding);
+    }
+    
+    if (architecture === 'conv1d') {
+      const convolved = tf.layers.conv1d({
+        filters: filters,
+        kernelSize: kernelSize,
+        padding: 'same', // Rows shorter than the kernel still produce output
+        activation: 'relu',
+        name: `${column}_conv1d`
+      }).apply(embedding);
+      
+      return tf.layers.globalMaxPooling1d({
+        name: `${column}_pooling`
+      }).apply(convolved);
+    }
+    
+    // Global pooling to handle variable sequence lengths
+    return tf.layers.globalAveragePooling1d({
+      name: `${column}_pooling`
+    }).apply(embedding);
+  }
+  
+  /**
+   * Load only the rows added since the current model was trained (after its
+   * watermark), grow its vocabularies, categories and output layer for what
+   * they contain, and rebuild the model with the trained weights carried over.
+   * The model keeps the architecture it was trained with, whatever config.model
+   * says now. Call fit() afterwards to continue training. Errors are thrown to the
+   * caller, leaving the current model untouched.
+   */
+  async prepareFineTuning() {
+    if (!this.model || !this.watermark) {
+      throw new Error('Train or load a model before fine-tuning it');
+    }
+    
+    // Everything below may change; restored if fine-tuning cannot start
+    const base = {
+      model: this.model,
+      preprocessors: JSON.parse(JSON.stringify(this.preprocessors)),
+      labelMap: { ...this.labelMap },
+      labelThresholds: this.labelThresholds,
+      modelConfig: this.modelConfig,
+      newRowsOnly: this.newRowsOnly,
+      watermark: { ...this.watermark },
+      features: this.features,
+      labels: this.labels,
+      splits: this.splits,
+      after: this.after,
+      startOffset: this.startOffset,
+      totalRecords: this.totalRecords
+    };
+    
+    try {
+      this.schema = await this.dataSource.getSchema();
+      const fields = this.schema.map(column => column.Field);
+      [...this.featureColumns, this.labelColumn].forEach(column => {
+        if (!fields.includes(column)) {
+          throw new Error(`Column '${column}' of the model is not in the table`);
+        }
+      });
+      
+      // Continue after the last row id seen, or after the number of rows seen
+      const { column, value, rowCount } = this.watermark;
+      this.after = column && value !== null ? { column, value } : null;
+      this.startOffset = this.after ? 0 : rowCount;
+      
+      await this.fetchTotalRecords();
+      
+      const newRows = this.totalRecords - this.startOffset;
+      if (newRows <= 0) {
+        throw new Error('No rows were added since the model was trained');
+      }
+      this.logMessage(`Fine-tuning on ${newRows} rows added after ${this.after ? `${column} ${value}` : `the first ${rowCount} rows`}`);
+      
+      // Keep the trained embedding sizes even if the vocabularies grow
+      for (const [name, preprocessor] of Object.entries(this.preprocessors)) {
+        const layer = base.model.layers.find(l => l.name === `${name}_embedding`);
+        if (layer) {
+          preprocessor.embeddingDim = layer.getWeights()[0].shape[1];
+        }
+      }
+      
+      this.features = [];
+      this.labels = [];
+      this.splits = null;
+      this.fineTuning = true;
+      this.newRowsOnly = true;
+      
+      if (config.streaming) {
+        await this.scanData();
+      } else {
+        await this.loadData();
+        this.createSplits();
+        await this.createVocabularies();
+      }
+      
+      // Growing the trained layers only works for the same architecture
+      const modelConfig = { ...config.model, ...base.modelConfig };
+      const changed = ARCHITECTURE_SETTINGS.filter(key => JSON.stringify(config.model[key]) !== JSON.stringify(modelConfig[key]));
+      if (changed.length > 0) {
+        this.logMessage(`Keeping the trained ${changed.map(key => `model.${key}`).join(', ')}; ` +
+          'the current settings apply to newly trained models');
+      }
+      
+      this.initModel(modelConfig);
+      this.transferWeights(base.model, base.preprocessors, Object.keys(base.labelMap).length);
+      base.model.dispose();
+    } catch (error) {
+      // A model rebuilt before the failure is not kept
+      if (this.model !== base.model) {
+        this.model.dispose();
+      }
+      Object.assign(this, base);
+      throw error;
+    } finally {
+      this.fineTuning = false;
+    }
+  }
+  
+  /**
+   * Copy the weights of a trained model into the rebuilt (possibly larger)
+   * model. Rows for new words, categories and classes keep their fresh
+   * initial values; text embedding (or TF-IDF) rows of the OOV buckets move
+   * up behind the new words.
+   */
+  transferWeights(baseModel, basePreprocessors, baseNumClasses) {
+    // Maps a vocabulary index of the grown text preprocessor to the old one (-1 for none)
+    const vocabularyRowMap = column => {
+      const numWords = this.preprocessors[column].numWords;
+      const baseNumWords = basePreprocessors[column].numWords;
+      return index => {
+        if (index <= baseNumWords) return index;
+        if (index > numWords) return index - numWords + baseNumWords;
+        return -1;
+      };
+    };
+    
+    // The first dense layer sees every feature branch side by side
+    const firstDense = model => model.layers.find(layer => layer.name === 'hidden1') || model.getLayer('output');
+    const branchWidths = model => {
+      const combined = model.layers.find(layer => layer.name === 'combined_features');
+      const inputs = combined ? combined.input : [firstDense(model).input];
+      return inputs.map(input => input.shape[input.shape.length - 1]);
+    };
+    
+    // Maps a row of the new first dense kernel to the row of the old one (-1 for none)
+    const combinedRowMap = () => {
+      const baseWidths = branchWidths(baseModel);
+      const widths = branchWidths(this.model);
+      const map = [];
+      let baseOffset = 0;
+      this.featureColumns.forEach((column, i) => {
+        const branchMap = this.preprocessors[column].encoding === 'tfidf'
+          ? vocabularyRowMap(column)
+          : index => (index < baseWidths[i] ? index : -1);
+        for (let j = 0; j < widths[i]; j++) {
+          const baseRow = branchMap(j);
+          map.push(baseRow < 0 ? -1 : baseOffset + baseRow);
+        }
+        baseOffset += baseWidths[i];
+      });
+      return index => map[index];
+    };
+    
+    const rowMaps = { [firstDense(this.model).name]: combinedRowMap() };
+    this.featureColumns.forEach(column => {
+      if (this.preprocessors[column].type === 'text') {
+        rowMaps[`${column}_embedding`] = vocabularyRowMap(column);
+      }
+    });
+    
+    this.model.layers.forEach(layer => {
+      const baseLayer = baseModel.layers.find(l => l.name === layer.name);
+      if (!baseLayer || layer.getWeights().length === 0) return;
+      
+      const weights = layer.getWeights().map((weight, i) => {
+        return remapWeights(baseLayer.getWeights()[i], weight, rowMaps[layer.name]);
+      });
+      layer.setWeights(weights);
+      weights.forEach(weight => weight.dispose());
+    });
+    
+    const numClasses = Object.keys(this.labelMap).length;
+    if (numClasses > baseNumClasses) {
+      this.logMessage(`Output layer grown from ${baseNumClasses} to ${numClasses} classes`);
+    }
+  }
+  
+  /**
+   * Embedding size for an input with `inputDim` distinct indices
+   */
+  embeddingSizeFor(inputDim) {
+    return config.model.embeddingDim || Math.min(config.model.maxEmbeddingDim, Math.ceil(Math.sqrt(inputDim)));
+  }
+  
+  /**
+   * Set the optimizer, loss and metrics (loaded models come uncompiled).
+   * Multi-label models score each label separately with binary
+   * cross-entropy, and their accuracy is the share of correct label slots.
+   * Regression models train on config.regressionLoss and report the mean
+   * absolute error (of the standardized target) instead of accuracy.
+   */
+  compileModel(model = this.model) {
+    if (this.regression) {
+      model.compile({
+        optimizer: tf.train[config.model.optimizer](config.model.learningRate),
+        loss: config.regressionLoss === 'mae' ? 'meanAbsoluteError' : 'meanSquaredError',
+        metrics: ['mae']
+      });
+      return;
+    }
+    
+    model.compile({
+      optimizer: tf.train[config.model.optimizer](config.model.learningRate),
+      loss: this.multiLabel ? 'binaryCrossentropy' : 'sparseCategoricalCrossentropy',
+      metrics: ['accuracy']
+    });
+  }
+  
+  /**
+   * Shuffle the loaded rows (with config.splitSeed) and partition them into
+   * train, validation and test index lists, optionally stratified by label
+   * (by label set in multi-label mode; regression targets are not stratified)
+   */
+  createSplits() {
+    const random = createRandom(config.splitSeed);
+    const stratify = config.stratifySplits && !this.regression;
+    
+    // Stratified splits partition each label separately so proportions match
+    const groups = {};
+    this.labels.forEach((label, index) => {
+      const key = stratify ? String(label) : 'all';
+      (groups[key] = groups[key] || []).push(index);
+    });
+    
+    const splits = { train: [], validation: [], test: [] };
+    
+    Object.values(groups).forEach(indices => {
+      shuffleInPlace(indices, random);
+      
+      const testCount = Math.round(indices.length * config.testSplit);
+      const validationCount = Math.round(indices.length * config.validationSplit);
+      
+      splits.test.push(...indices.slice(0, testCount));
+      splits.validation.push(...indices.slice(testCount, testCount + validationCount));
+      splits.train.push(...indices.slice(testCount + validationCount));
+    });
+    
+    // Mix the labels back together within each split
+    Object.values(splits).forEach(indices => shuffleInPlace(indices, random));
+    
+    if (splits.train.length === 0) {
+      throw new Error('Training split is empty; lower config.validationSplit or config.testSplit');
+    }
+    
+    splits.sizes = {
+      train: splits.train.length,
+      validation: splits.validation.length,
+      test: splits.test.length
+    };
+    this.splits = splits;
+    
+    this.logMessage(`Split ${this.labels.length} records${stratify ? ' (stratified by label)' : ''}: ` +
+      `${splits.train.length} train, ${splits.validation.length} validation, ${splits.test.length} test`);
+  }
+  
+  /**
+   * Assign a streamed row to a split from a seeded hash of its position, so
+   * every pass over the table puts the row in the same split
+   */
+  assignStreamingSplit(rowIndex) {
+    const position = createRandom(Math.imul(rowIndex + 1, 0x9E3779B1) ^ config.splitSeed)();
+    
+    if (position < config.testSplit) return 'test';
+    if (position < config.testSplit + config.validationSplit) return 'validation';
+    return 'train';
+  }
+  
+  /**
+   * Prepare training data in TensorFlow format for one split
+   * ('train', 'validation' or 'test'), several splits given as an array,
+   * or all rows when omitted
+   */
+  prepareTrainingData(subset) {
+    this.updateStatus('Preparing training data...');
+    
+    if (!subset) {
+      return this.encodeSamples(this.features, this.labels);
+    }
+    
+    if (!this.splits) {
+      this.createSplits();
+    }
+    
+    return this.encodeRows([].concat(subset).flatMap(name => this.splits[name]));
+  }
+  
+  /**
+   * Encode the loaded rows at `indices` (repeats allowed) as tensors
+   */
+  encodeRows(indices) {
+    return this.encodeSamples(indices.map(i => this.features[i]), indices.map(i => this.labels[i]));
+  }
+  
+  /**
+   * Order named input tensors as the model expects them
+   */
+  toModelInputs(inputTensors) {
+    return this.model.inputNames.map(name => inputTensors[name]);
+  }
+  
+  /**
+   * Split that evaluate() reports on: the held-out test split, or validation
+   * when no test rows were set aside
+   */
+  evaluationSubset() {
+    if (!this.splits && !config.streaming) {
+      if (this.labels.length === 0) {
+        throw new Error('No rows are loaded to evaluate the model on');
+      }
+      this.createSplits();
+    }
+    
+    const sizes = this.splits ? this.splits.sizes : { test: 0, validation: 0 };
+    
+    if (sizes.test > 0) return 'test';
+    
+    this.logMessage('Warning: no test split (config.testSplit is 0); evaluating on the validation split');
+    if (sizes.validation > 0) return 'validation';
+    
+    throw new Error('No held-out rows to evaluate on; set config.testSplit above 0');
+  }
+  
+  /**
+   * Convert feature rows and label indices (lists of them for multi-label,
+   * numbers for regression) into input and label tensors
+   */
+  encodeSamples(features, labels) {
+    // For each feature, prepare the corresponding tensor
+    const inputTensors = {};
+    
+    for (const column of this.featureColumns) {
+      inputTensors[column] = FeatureEncoder.encode(this.preprocessors[column], features.map(f => f[column]));
+    }
+    
+    // Create labels tensor (sparse categorical crossentropy expects float labels);
+    // multi-label rows become 0/1 vectors with one slot per label, regression
+    // targets a column of standardized values
+    let labelsTensor;
+    if (this.regression) {
+      const { mean, std } = this.targetScaling;
+      labelsTensor = tf.tensor2d(labels.map(value => [(value - mean) / std]), [labels.length, 1], 'float32');
+    } else if (this.multiLabel) {
+      const numClasses = Object.keys(this.labelMap).length;
+      const multiHot = labels.map(indices => {
+        const row = Array(numClasses).fill(0);
+        indices.forEach(index => { row[index] = 1; });
+        return row;
+      });
+      labelsTensor = tf.tensor2d(multiHot, [labels.length, numClasses], 'float32');
+    } else {
+      labelsTensor = tf.tensor1d(labels, 'float32');
+    }
+    
+    return {
+      xs: inputTensors,
+      ys: labelsTensor
+    };
+  }
+  
+  /**
+   * Build a tf.data dataset that re-reads the table page by page. Only one
+   * page of rows is held in memory; it is shuffled and cut into batches.
+   * `subset` selects the 'train', 'validation' or 'test' rows, or 'all'.
+   */
+  createStreamingDataset(subset = 'all') {
+    const app = this;
+    const inSubset = rowIndex => subset === 'all' || app.assignStreamingSplit(rowIndex) === subset;
+    
+    return tf.data.generator(async function* () {
+      for await (const { offset, rows } of app.iterateBatches()) {
+        const samples = [];
+        
+        rows.forEach((row, i) => {
+          if (!inSubset(offset + i)) return;
+          
+          // Labels not seen during the scan cannot be trained on
+          const sample = app.extractSample(row, false);
+          if (sample) samples.push(sample);
+        });
+        
+        tf.util.shuffle(samples);
+        
+        for (let start = 0; start < samples.length; start += config.batchSize) {
+          const batch = samples.slice(start, start + config.batchSize);
+          yield app.encodeSamples(batch.map(s => s.features), batch.map(s => s.label));
+        }
+      }
+    });
+  }
+  
+  /**
+   * Continue training the current model on rows added since it was trained
+   */
+  async fineTuneModel() {
+    try {
+      this.updateStatus('Loading rows added since the model was trained...');
+      this.setButtonEnabled('finetune-button', false);
+      
+      await this.prepareFineTuning();
+    } catch (error) {
+      this.updateStatus(`Error preparing fine-tuning: ${error.message}`, true);
+      console.error(error);
+      this.setButtonEnabled('finetune-button', true);
+      return;
+    }
+    
+    await this.trainModel();
+  }
+  
+  /**
+   * Start model training process
+   */
+  async trainModel() {
+    try {
+      this.updateStatus('Starting training...');
+      this.setButtonEnabled('train-button', false);
+      
+      await this.fit();
+      
+      this.updateStatus('Training complete! You can now evaluate or save the model.');
+    } catch (error) {
+      this.updateStatus(`Error during training: ${error.message}`, true);
+      console.error(error);
+      this.setButtonEnabled('train-button', true);
+    }
+  }
+  
+  /**
+   * Train the model on the loaded (or streamed) data. Errors are thrown to the caller.
+   */
+  async fit() {
+    const startTime = Date.now();
+    this.trainingLogs = [];
+    this.resetTrainingChart();
+    
+    const hasValidation = config.streaming ? this.splits.sizes.validation > 0 : this.splits.validation.length > 0;
+    const { trainIndices, classWeight } = this.balanceTrainingSplit();
+    const monitor = new TrainingMonitor(this.model, {
+      hasValidation,
+      regression: this.regression,
+      log: message => this.logMessage(message)
+    });
+    
+    // Set up training callbacks
+    const callbacks = {
+      onEpochBegin: (epoch) => {
+        monitor.onEpochBegin(epoch);
+      },
+      onEpochEnd: (epoch, logs) => {
+        this.trainingTime = Date.now() - startTime;
+        const progress = Math.round(((epoch + 1) / config.epochs) * 100);
+        this.updateProgress(progress);
+        
+        let logMessage;
+        if (this.regression) {
+          // MAE in the label's own units
+          const { std } = this.targetScaling;
+          logMessage = `Epoch ${epoch + 1}/${config.epochs} - loss: ${logs.loss.toFixed(4)} - mae: ${(logs.mae * std).toFixed(4)}`;
+          if (logs.val_loss) {
+            logMessage += ` - val_loss: ${logs.val_loss.toFixed(4)} - val_mae: ${(logs.val_mae * std).toFixed(4)}`;
+          }
+        } else {
+          logMessage = `Epoch ${epoch + 1}/${config.epochs} - loss: ${logs.loss.toFixed(4)} - accuracy: ${logs.acc.toFixed(4)}`;
+          if (logs.val_loss) {
+            logMessage += ` - val_loss: ${logs.val_loss.toFixed(4)} - val_acc: ${logs.val_acc.toFixed(4)}`;
+          }
+        }
+        logMessage += ` - lr: ${monitor.learningRate.toPrecision(3)}`;
+        
+        this.logMessage(logMessage);
+        this.trainingLogs.push({ ...logs, lr: monitor.learningRate });
+        this.updateTrainingMetrics(epoch, logs);
+        
+        monitor.onEpochEnd(epoch, logs);
+      },
+      onTrainEnd: () => {
+        this.trainingTime = Date.now() - startTime;
+        this.setMetric('time-metric', formatDuration(this.trainingTime));
+        this.updateStatus('Training complete!');
+        this.setButtonEnabled('evaluate-button', true);
+        this.setButtonEnabled('save-button', true);
+        this.setButtonEnabled('export-button', true);
+        this.setButtonEnabled('finetune-button', true);
+      }
+    };
+    
+    if (config.streaming) {
+      // Train from pages fetched on demand; fitDataset disposes each batch
+      await this.model.fitDataset(this.createStreamingDataset('train'), {
+        epochs: config.epochs,
+        validationData: this.splits.sizes.validation > 0 ? this.createStreamingDataset('validation') : undefined,
+        classWeight,
+        callbacks: callbacks
+      });
+    } else {
+      // Prepare data; the test split stays untouched until evaluation
+      this.updateStatus('Preparing training data...');
+      const trainingData = this.encodeRows(trainIndices);
+      const validationData = this.splits.validation.length > 0 ? this.prepareTrainingData('validation') : null;
+      
+      // Train the model
+      await this.model.fit(this.toModelInputs(trainingData.xs), trainingData.ys, {
+        epochs: config.epochs,
+        batchSize: config.batchSize,
+        validationData: validationData ? [this.toModelInputs(validationData.xs), validationData.ys] : undefined,
+        classWeight,
+        callbacks: callbacks
+      });
+      
+      // Clean up tensors
+      [trainingData, validationData].filter(data => data).forEach(data => {
+        Object.values(data.xs).forEach(tensor => tensor.dispose());
+        data.ys.dispose();
+      });
+    }
+    
+    this.trainingSummary = monitor.finish();
+    
+    if (this.multiLabel) {
+      await this.tuneLabelThresholds(hasValidation);
+    }
+  }
+  
+  /**
+   * Apply config.classBalance to the training rows (the training split by
+   * default; the search passes each fold's) and log the class distribution
+   * the model will train on. Returns the (possibly resampled) training row
+   * indices, null when streaming, and the class weights for fit(), undefined
+   * when not weighting.
+   */
+  balanceTrainingSplit(trainIndices = config.streaming ? null : this.splits.train, log = message => this.logMessage(message)) {
+    const { classWeights, resampling } = config.classBalance;
+    
+    if (this.regression || this.multiLabel) {
+      if (classWeights !== 'none' || resampling !== 'none') {
+        log('Warning: class balancing only applies to single-label classification; ignoring config.classBalance');
+      }
+      return { trainIndices, classWeight: undefined };
+    }
+    
+    const numClasses = Object.keys(this.labelMap).length;
+    const counts = Array(numClasses).fill(0);
+    
+    if (config.streaming) {
+      if (resampling !== 'none') {
+        log('Warning: resampling needs the rows in memory; training on the streamed split as it is');
+      }
+      Object.entries(this.splits.trainClassCounts).forEach(([index, count]) => {
+        counts[index] = count;
+      });
+    } else {
+      if (resampling !== 'none') {
+        trainIndices = this.resampleIndices(trainIndices, resampling);
+      }
+      trainIndices.forEach(index => counts[this.labels[index]]++);
+    }
+    
+    // 'balanced': rows / (classes * rows of the class), so each class adds the same total weight
+    let classWeight;
+    if (classWeights === 'balanced') {
+      const total = counts.reduce((sum, count) => sum + count, 0);
+      const present = counts.filter(count => count > 0).length;
+      classWeight = {};
+      counts.forEach((count, index) => {
+        classWeight[index] = count > 0 ? total / (present * count) : 1;
+      });
+    }
+    
+    const inverseLabelMap = this.getInverseLabelMap();
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const distribution = counts
+      .map((count, index) => `${inverseLabelMap[index]} ${count} (${((count / Math.max(1, total)) * 100).toFixed(1)}%)`)
+      .join(', ');
+    const resampled = resampling !== 'none' && !config.streaming ? `, ${resampling}d` : '';
+    log(`Training class distribution (${total} rows${resampled}): ${distribution}`);
+    if (classWeight) {
+      log(`Class weights: ${counts.map((count, index) => `${inverseLabelMap[index]} ${classWeight[index].toFixed(3)}`).join(', ')}`);
+    }
+    
+    return { trainIndices, classWeight };
+  }
+  
+  /**
+   * Resample row indices so every class has as many rows as the largest
+   * ('oversample': rows repeat, whole passes first) or the smallest
+   * ('undersample') class. Seeded with config.splitSeed.
+   */
+  resampleIndices(indices, resampling) {
+    const random = createRandom(config.splitSeed);
+    const byClass = {};
+    indices.forEach(index => {
+      (byClass[this.labels[index]] = byClass[this.labels[index]] || []).push(index);
+    });
+    
+    const sizes = Object.values(byClass).map(group => group.length);
+    const target = resampling === 'oversample' ? Math.max(...sizes) : Math.min(...sizes);
+    
+    const resampled = Object.values(byClass).flatMap(group => {
+      shuffleInPlace(group, random);
+      return Array.from({ length: target }, (_, i) => group[i % group.length]);
+    });
+    return shuffleInPlace(resampled, random);
+  }
+  
+  /**
+   * Multi-label: pick each label's probability threshold for the best F1 on
+   * the validation split, or use config.labelThreshold without validation rows
+   */
+  async tuneLabelThresholds(hasValidation) {
+    const numClasses = Object.keys(this.labelMap).length;
+    
+    if (!hasValidation) {
+      this.labelThresholds = Array(numClasses).fill(config.labelThreshold);
+      this.logMessage(`No validation rows to tune label thresholds; using ${config.labelThreshold} for every label`);
+      return;
+    }
+    
+    const { yTrue, scores } = await this.collectScores('validation');
+    this.labelThresholds = Array.from({ length: numClasses }, (_, index) => Metrics.bestThreshold(
+      yTrue.map(row => row[index]), scores.map(row => row[index]), config.labelThreshold));
+    
+    const inverseLabelMap = this.getInverseLabelMap();
+    this.logMessage(`Label thresholds (tuned on the validation split): ` +
+      this.labelThresholds.map((threshold, index) => `${inverseLabelMap[index]} ${threshold.toFixed(2)}`).join(', '));
+  }
+  
+  /**
+   * Multi-label: probability needed per class index (config.labelThreshold
+   * for every label until fit() tunes them)
+   */
+  getLabelThresholds() {
+    return this.labelThresholds || Array(Object.keys(this.labelMap).length).fill(config.labelThreshold);
+  }
+  
+  /**
+   * Cross-validate the combinations in config.search.space (see
+   * hyperparameter-search.js) and show the trials ranked in the Search tab
+   */
+  async searchHyperparameters() {
+    const buttons = ['train-button', 'search-button', 'train-winner-button'];
+    
+    try {
+      this.updateStatus('Searching hyperparameters...');
+      buttons.forEach(id => this.setButtonEnabled(id, false));
+      this.searching = true;
+      this.searchResults = [];
+      this.renderSearchLeaderboard();
+      
+      const search = new HyperparameterSearch(this);
+      await search.run((trial, total) => {
+        this.searchResults = search.leaderboard;
+        this.updateProgress(Math.round((search.leaderboard.length / total) * 100));
+        this.renderSearchLeaderboard();
+      });
+      
+      const best = this.searchResults[0];
+      this.updateStatus(`Search complete! Best trial: mean ${best.scoreName} ${best.meanScore.toFixed(4)} with ${HyperparameterSearch.describe(best.params)}`);
+    } catch (error) {
+      this.updateStatus(`Error during hyperparameter search: ${error.message}`, true);
+      console.error(error);
+    } finally {
+      this.searching = false;
+      this.renderSearchLeaderboard();
+      this.setButtonEnabled('train-button', true);
+      this.setButtonEnabled('search-button', true);
+      this.setButtonEnabled('train-winner-button', this.searchResults.length > 0);
+    }
+  }
+  
+  /**
+   * Show the search leaderboard: each trial's settings and its mean ± standard
+   * deviation across folds
+   */
+  renderSearchLeaderboard() {
+    const container = this.hasUI ? document.getElementById('search-leaderboard') : null;
+    if (!container) return;
+    
+    container.textContent = '';
+    if (this.searchResults.length === 0) return;
+    
+    const paths = Object.keys(this.searchResults[0].params);
+    const table = document.createElement('table');
+    table.className = 'report-table';
+    
+    const header = table.insertRow();
+    ['Rank', 'Trial', ...paths, this.searchResults[0].scoreName, 'Loss', 'Epochs', ''].forEach(text => {
+      const cell = document.createElement('th');
+      cell.textContent = text;
+      header.appendChild(cell);
+    });
+    
+    this.searchResults.forEach((trial, index) => {
+      const row = table.insertRow();
+      [
+        index + 1,
+        trial.trial,
+        ...paths.map(path => JSON.stringify(trial.params[path])),
+        `${trial.meanScore.toFixed(4)} ± ${trial.stdScore.toFixed(4)}`,
+        `${trial.meanLoss.toFixed(4)} ± ${trial.stdLoss.toFixed(4)}`,
+        trial.epochs
+      ].forEach(text => {
+        row.insertCell().textContent = text;
+      });
+      
+      const button = document.createElement('button');
+      button.textContent = 'Train';
+      button.dataset.rank = index;
+      button.disabled = this.searching;
+      row.insertCell().appendChild(button);
+    });
+    
+    container.appendChild(table);
+  }
+  
+  /**
+   * Merge settings (e.g. a search trial's) into config and train a fresh
+   * model with them on the full training split
+   */
+  async trainWithSettings(settings) {
+    mergeConfig(config, settings);
+    this.renderSettings();
+    this.logMessage(`Training with ${JSON.stringify(settings)}`);
+    
+    try {
+      this.initModel();
+    } catch (error) {
+      this.updateStatus(`Error building model: ${error.message}`, true);
+      console.error(error);
+      return;
+    }
+    
+    await this.trainModel();
+  }
+  
+  /**
+   * Create (or clear) the loss/accuracy chart in the Metrics tab; regression
+   * models chart the mean absolute error instead of accuracy
+   */
+  resetTrainingChart() {
+    this.setMetric('accuracy-metric-title', this.regression ? 'MAE' : 'Accuracy');
+    
+    const canvas = this.hasUI ? document.getElementById('metrics-canvas') : null;
+    if (!canvas || typeof Chart === 'undefined') return;
+    
+    if (this.trainingChart) {
+      this.trainingChart.destroy();
+    }
+    
+    const series = (label, color, yAxisID, dashed) => ({
+      label,
+      data: [],
+      borderColor: color,
+      backgroundColor: color,
+      borderDash: dashed ? [5, 5] : [],
+      pointRadius: 0,
+      yAxisID
+    });
+    
+    this.trainingChart = new Chart(canvas.getContext('2d'), {
+      type: 'line',
+      data: {
+        labels: [],
+        datasets: [
+          series('loss', '#e74c3c', 'loss', false),
+          series('val_loss', '#e74c3c', 'loss', true),
+          series(this.regression ? 'mae' : 'accuracy', '#3498db', 'accuracy', false),
+          series(this.regression ? 'val_mae' : 'val_acc', '#3498db', 'accuracy', true)
+        ]
+      },
+      options: {
+        animation: false,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        scales: {
+          x: { title: { display: true, text: 'Epoch' } },
+          loss: { type: 'linear', position: 'left', title: { display: true, text: 'Loss' } },
+          accuracy: this.regression
+            ? { type: 'linear', position: 'right', min: 0, title: { display: true, text: 'MAE' }, grid: { drawOnChartArea: false } }
+            : { type: 'linear', position: 'right', min: 0, max: 1, title: { display: true, text: 'Accuracy' }, grid: { drawOnChartArea: false } }
+        }
+      }
+    });
+  }
+  
+  /**
+   * Add an epoch to the chart and refresh the metric cards
+   */
+  updateTrainingMetrics(epoch, logs) {
+    if (this.regression) {
+      this.updateRegressionMetrics(epoch, logs);
+      return;
+    }
+    
+    if (this.trainingChart) {
+      const values = [logs.loss, logs.val_loss, logs.acc, logs.val_acc];
+      this.trainingChart.data.labels.push(epoch + 1);
+      this.trainingChart.data.datasets.forEach((dataset, i) => {
+        dataset.data.push(values[i] === undefined ? null : values[i]);
+      });
+      this.trainingChart.update('none');
+    }
+    
+    // Prefer validation numbers when available since they reflect generalization
+    const accuracy = logs.val_acc !== undefined ? logs.val_acc : logs.acc;
+    const loss = logs.val_loss !== undefined ? logs.val_loss : logs.loss;
+    
+    this.setMetric('accuracy-metric', `${(accuracy * 100).toFixed(2)}%`);
+    this.setMetric('loss-metric', loss.toFixed(4));
+    this.setMetric('time-metric', formatDuration(this.trainingTime));
+    this.setMetric('classes-metric', Object.keys(this.labelMap).length);
+  }
+  
+  /**
+   * Regression version of updateTrainingMetrics(): the mean absolute error,
+   * in the label's own units, takes the place of accuracy
+   */
+  updateRegressionMetrics(epoch, logs) {
+    const { std } = this.targetScaling;
+    const scale = value => (value === undefined ? null : value * std);
+    
+    if (this.trainingChart) {
+      const values = [logs.loss, logs.val_loss, scale(logs.mae), scale(logs.val_mae)];
+      this.trainingChart.data.labels.push(epoch + 1);
+      this.trainingChart.data.datasets.forEach((dataset, i) => {
+        dataset.data.push(values[i] === undefined ? null : values[i]);
+      });
+      this.trainingChart.update('none');
+    }
+    
+    const mae = logs.val_mae !== undefined ? logs.val_mae : logs.mae;
+    const loss = logs.val_loss !== undefined ? logs.val_loss : logs.loss;
+    
+    this.setMetric('accuracy-metric', (mae * std).toFixed(4));
+    this.setMetric('loss-metric', loss.toFixed(4));
+    this.setMetric('time-metric', formatDuration(this.trainingTime));
+    this.setMetric('classes-metric', 'Regression');
+  }
+  
+  /**
+   * Set the value of a metric card in the Metrics tab (no-op without a UI)
+   */
+  setMetric(id, value) {
+    const element = this.hasUI ? document.getElementById(id) : null;
+    if (element) {
+      element.textContent = value;
+    }
+  }
+  
+  /**
+   * Evaluate the trained model
+   */
+  async evaluateModel() {
+    try {
+      this.updateStatus('Evaluating model...');
+      
+      const { loss, accuracy, report } = await this.evaluate();
+      
+      if (report.regression) {
+        this.updateStatus(`Evaluation complete - MAE: ${report.mae.toFixed(4)}, RMSE: ${report.rmse.toFixed(4)}, R²: ${report.r2.toFixed(4)}`);
+        this.setMetric('accuracy-metric', report.mae.toFixed(4));
+      } else {
+        this.updateStatus(`Evaluation complete - Loss: ${loss.toFixed(4)}, Accuracy: ${accuracy.toFixed(4)}`);
+        this.setMetric('accuracy-metric', `${(accuracy * 100).toFixed(2)}%`);
+      }
+      this.setMetric('loss-metric', loss.toFixed(4));
+      
+      return { loss, accuracy };
+    } catch (error) {
+      this.updateStatus(`Error during evaluation: ${error.message}`, true);
+      console.error(error);
+    }
+  }
+  
+  /**
+   * Compute loss and accuracy of the trained model on the held-out test
+   * split, with a per-class report (MAE, RMSE and R² for regression models,
+   * whose accuracy is null). After fine-tuning the split holds new rows only,
+   * which the results mark with `newRowsOnly`. Errors are thrown to the caller.
+   */
+  async evaluate() {
+    const subset = this.evaluationSubset();
+    
+    let result;
+    if (config.streaming) {
+      // Evaluate over the held-out rows, one page at a time
+      result = await this.model.evaluateDataset(this.createStreamingDataset(subset));
+    } else {
+      // Prepare evaluation data
+      const evalData = this.prepareTrainingData(subset);
+      
+      // Evaluate the model
+      result = await this.model.evaluate(this.toModelInputs(evalData.xs), evalData.ys);
+      
+      Object.values(evalData.xs).forEach(tensor => tensor.dispose());
+      evalData.ys.dispose();
+    }
+    
+    // Get loss and accuracy
+    const loss = result[0].dataSync()[0];
+    const accuracy = this.regression ? null : result[1].dataSync()[0];
+    
+    // Clean up tensors
+    result.forEach(tensor => tensor.dispose());
+    
+    // After fine-tuning, the held-out rows are new rows only; say so wherever the results go
+    const newRowsOnly = this.newRowsOnly;
+    const label = newRowsOnly ? `new ${subset}` : subset;
+    
+    if (this.regression) {
+      return this.evaluateRegression(subset, loss, newRowsOnly);
+    }
+    
+    this.logMessage(`Evaluation results (${label} split) - Loss: ${loss.toFixed(4)}, Accuracy: ${accuracy.toFixed(4)}`);
+    
+    // Per-class breakdown
+    const inverseLabelMap = this.getInverseLabelMap();
+    const labelNames = Object.keys(inverseLabelMap).sort((a, b) => a - b).map(index => inverseLabelMap[index]);
+    
+    let report;
+    if (this.multiLabel) {
+      const { yTrue, scores } = await this.collectScores(subset);
+      const thresholds = this.getLabelThresholds();
+      const yPred = scores.map(row => row.map((score, index) => (score >= thresholds[index] ? 1 : 0)));
+      report = Metrics.multiLabelReport(yTrue, yPred, labelNames, thresholds);
+    } else {
+      const { yTrue, yPred } = await this.collectPredictions(subset);
+      report = Metrics.classificationReport(yTrue, yPred, labelNames);
+    }
+    this.evaluationResults = { loss, accuracy, subset, newRowsOnly, report };
+    
+    report.perClass.forEach(row => {
+      this.logMessage(`  ${row.label}: precision ${row.precision.toFixed(3)}, recall ${row.recall.toFixed(3)}, ` +
+        `F1 ${row.f1.toFixed(3)}, support ${row.support}`);
+    });
+    if (report.multiLabel) {
+      this.logMessage(`  Micro F1: ${report.micro.f1.toFixed(3)}, macro F1: ${report.macro.f1.toFixed(3)}, ` +
+        `exact label sets: ${report.accuracy.toFixed(3)}`);
+    } else {
+      this.logMessage(`  Macro F1: ${report.macro.f1.toFixed(3)}, weighted F1: ${report.weighted.f1.toFixed(3)}`);
+    }
+    
+    this.renderClassificationReport(report, label);
+    
+    return this.evaluationResults;
+  }
+  
+  /**
+   * Regression part of evaluate(): MAE, RMSE and R² in the label's own units
+   */
+  async evaluateRegression(subset, loss, newRowsOnly) {
+    const { mean, std } = this.targetScaling;
+    const { yTrue, scores } = await this.collectScores(subset);
+    const unscale = ([value]) => value * std + mean;
+    
+    const report = Metrics.regressionReport(yTrue.map(unscale), scores.map(unscale));
+    this.evaluationResults = { loss, accuracy: null, subset, newRowsOnly, report };
+    
+    const label = newRowsOnly ? `new ${subset}` : subset;
+    this.logMessage(`Evaluation results (${label} split) - Loss: ${loss.toFixed(4)}, ` +
+      `MAE: ${report.mae.toFixed(4)}, RMSE: ${report.rmse.toFixed(4)}, R²: ${report.r2.toFixed(4)}`);
+    
+    this.renderClassificationReport(report, label);
+    
+    return this.evaluationResults;
+  }
+  
+  /**
+   * Run the model over one split and return true and predicted class indices
+   */
+  async collectPredictions(subset) {
+    const yTrue = [];
+    const yPred = [];
+    
+    await this.forEachEvaluationBatch(subset, (xs, ys) => {
+      const predicted = tf.tidy(() => this.model.predict(this.toModelInputs(xs)).argMax(-1));
+      yPred.push(...predicted.dataSync());
+      yTrue.push(...ys.dataSync());
+      predicted.dispose();
+    });
+    
+    return { yTrue, yPred };
+  }
+  
+  /**
+   * Run the model over one split and return the rows of true labels and of
+   * model outputs: 0/1 label rows and probabilities for multi-label models,
+   * standardized targets and predictions for regression
+   */
+  async collectScores(subset) {
+    const yTrue = [];
+    const scores = [];
+    
+    await this.forEachEvaluationBatch(subset, (xs, ys) => {
+      const predicted = this.model.predict(this.toModelInputs(xs));
+      yTrue.push(...ys.arraySync());
+      scores.push(...predicted.arraySync());
+      predicted.dispose();
+    });
+    
+    return { yTrue, scores };
+  }
+  
+  /**
+   * Call `addBatch(xs, ys)` with the encoded rows of one split, page by page
+   * when streaming. The tensors are disposed afterwards.
+   */
+  async forEachEvaluationBatch(subset, addBatch) {
+    if (config.streaming) {
+      await this.createStreamingDataset(subset).forEachAsync(batch => {
+        addBatch(batch.xs, batch.ys);
+        Object.values(batch.xs).forEach(tensor => tensor.dispose());
+        batch.ys.dispose();
+      });
+    } else {
+      const evalData = this.prepareTrainingData(subset);
+      addBatch(evalData.xs, evalData.ys);
+      Object.values(evalData.xs).forEach(tensor => tensor.dispose());
+      evalData.ys.dispose();
+    }
+  }
+  
+  /**
+   * Map class indices back to label values
+   */
+  getInverseLabelMap() {
+    const inverseLabelMap = {};
+    Object.entries(this.labelMap).forEach(([label, index]) => {
+      inverseLabelMap[index] = label;
+    });
+    return inverseLabelMap;
+  }
+  
+  /**
+   * Show per-class metrics and the confusion matrix (as a heatmap) in the
+   * Metrics tab; multi-label reports show per-label thresholds instead of a
+   * confusion matrix, and regression reports their error measures
+   */
+  renderClassificationReport(report, subset) {
+    const container = this.hasUI ? document.getElementById('classification-report') : null;
+    if (!container) return;
+    
+    container.textContent = '';
+    
+    const addRow = (table, cells, header = false) => {
+      const row = table.insertRow();
+      cells.forEach(text => {
+        const cell = document.createElement(header ? 'th' : 'td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      return row;
+    };
+    
+    // Per-class precision, recall, F1 and support
+    const title = document.createElement('h4');
+    container.appendChild(title);
+    
+    const classTable = document.createElement('table');
+    classTable.className = 'report-table';
+    container.appendChild(classTable);
+    
+    if (report.regression) {
+      title.textContent = `Regression metrics (${report.support} ${subset} records)`;
+      
+      addRow(classTable, ['MAE', 'RMSE', 'R²', 'Mean label'], true);
+      addRow(classTable, [report.mae.toFixed(4), report.rmse.toFixed(4), report.r2.toFixed(4), report.meanTarget.toFixed(4)]);
+      return;
+    }
+    
+    if (report.multiLabel) {
+      title.textContent = `Per-label metrics (${report.support} ${subset} records, ` +
+        `${(report.accuracy * 100).toFixed(1)}% with the exact label set)`;
+      
+      addRow(classTable, ['Label', 'Precision', 'Recall', 'F1', 'Support', 'Threshold'], true);
+      report.perClass.forEach(row => {
+        addRow(classTable, [row.label, row.precision.toFixed(3), row.recall.toFixed(3), row.f1.toFixed(3), row.support, row.threshold.toFixed(2)]);
+      });
+      [['Micro avg', report.micro], ['Macro avg', report.macro]].forEach(([name, avg]) => {
+        addRow(classTable, [name, avg.precision.toFixed(3), avg.recall.toFixed(3), avg.f1.toFixed(3), report.labelCount, '']);
+      });
+      return;
+    }
+    
+    title.textContent = `Per-class metrics (${report.support} ${subset} records)`;
+    addRow(classTable, ['Class', 'Precision', 'Recall', 'F1', 'Support'], true);
+    report.perClass.forEach(row => {
+      addRow(classTable, [row.label, row.precision.toFixed(3), row.recall.toFixed(3), row.f1.toFixed(3), row.support]);
+    });
+    [['Macro avg', report.macro], ['Weighted avg', report.weighted]].forEach(([name, avg]) => {
+      addRow(classTable, [name, avg.precision.toFixed(3), avg.recall.toFixed(3), avg.f1.toFixed(3), report.support]);
+    });
+    
+    // Confusion matrix: rows are true classes, columns predicted classes,
+    // shaded by the share of each true class
+    const matrixTitle = document.createElement('h4');
+    matrixTitle.textContent = 'Confusion matrix (rows: true class, columns: predicted class)';
+    container.appendChild(matrixTitle);
+    
+    const matrixTable = document.createElement('table');
+    matrixTable.className = 'report-table confusion-matrix';
+    addRow(matrixTable, ['', ...report.labels], true);
+    report.confusionMatrix.forEach((counts, trueIndex) => {
+      const row = addRow(matrixTable, [report.labels[trueIndex], ...counts]);
+      const rowTotal = counts.reduce((sum, count) => sum + count, 0);
+      
+      counts.forEach((count, predIndex) => {
+        const share = rowTotal > 0 ? count / rowTotal : 0;
+        const cell = row.cells[predIndex + 1];
+        cell.style.backgroundColor = `rgba(${trueIndex === predIndex ? '46, 204, 113' : '231, 76, 60'}, ${share.toFixed(2)})`;
+        cell.title = `${(share * 100).toFixed(1)}% of '${report.labels[trueIndex]}'`;
+      });
+    });
+    container.appendChild(matrixTable);
   }
   
   /**
    * Save the trained model
    */
-  async saveModel() {
-    try {
-      this.updateStatus('Saving model...');
+  async saveModel() {
+    try {
+      this.updateStatus('Saving model...');
+      
+      const response = await this.save();
+      
+      if (response.version) {
+        this.logMessage(`Model saved as version ${response.version.id} (now active)`);
+      }
+      
+      if (response.status === 'success') {
+        this.logMessage(`Model saved successfully with ID: ${response.id}`);
+        this.updateStatus('Model saved successfully!');
+      } else {
+        this.logMessage(`Warning: Model saved to browser but failed to save metadata to database: ${response.message}`);
+        this.updateStatus('Model saved to browser but failed to save metadata to database.');
+      }
+    } catch (error) {
+      this.updateStatus(`Error saving model: ${error.message}`, true);
+      console.error(error);
+    }
+  }
+  
+  /**
+   * Write the model, preprocessors and label map, register a new version and
+   * make it the active one, then record the model metadata with the data
+   * source. Returns the save_model API response (with the registered
+   * `version`, if any); other errors are thrown.
+   */
+  async save() {
+    // A model loaded from a bundle or version has no rows here; it keeps the
+    // evaluation it was saved with
+    const evalResults = this.splits ? await this.evaluate() : this.evaluationResults || {};
+    
+    // Keep this model as its own version next to the earlier ones
+    const version = this.registry ? await this.registry.save(await this.createBundle()) : null;
+    
+    // The saved model replaces the active slot, so it becomes the active
+    // version too; otherwise the registry and the page would disagree
+    await this.writeActiveModel(evalResults.accuracy, version);
+    if (version) {
+      await this.registry.promote(version.id);
+    }
+    
+    // Save model metadata to database
+    const modelInfo = {
+      name: version ? `word-ai-model ${version.id}` : 'word-ai-model',
+      accuracy: evalResults.accuracy,
+      parameters: {
+        featureColumns: this.featureColumns,
+        labelColumn: this.labelColumn,
+        numClasses: Object.keys(this.labelMap).length,
+        multiLabel: this.multiLabel,
+        regression: this.regression,
+        vocabularyStats: this.getVocabularyStats(),
+        evaluatedOn: evalResults.newRowsOnly ? `${evalResults.subset} (new rows only)` : evalResults.subset,
+        evaluation: evalResults.report,
+        splits: this.splits ? {
+          ...this.splits.sizes,
+          seed: config.splitSeed,
+          stratified: config.stratifySplits && !config.streaming && !this.regression
+        } : null,
+        epochs: config.epochs,
+        batchSize: config.batchSize,
+        training: this.trainingSummary,
+        config: exportConfig(this.trainedConfig()),
+        trainingTimeMs: this.trainingTime,
+        watermark: this.watermark
+      },
+      path: version ? `${this.registry.dbName}/${version.id}` : this.modelUrl
+    };
+    
+    const response = await this.dataSource.saveModelMetadata(modelInfo);
+    
+    await this.renderModelRegistry();
+    
+    return { ...response, version };
+  }
+  
+  /**
+   * Write the current model, preprocessors and label map to the single slot
+   * that loadSavedModel() reads
+   */
+  async writeActiveModel(accuracy, version = null) {
+    // Save model using TensorFlow.js
+    await this.model.save(this.modelUrl);
+    
+    // Save preprocessors and label mapping to storage
+    this.storage.setItem('word-ai-preprocessors', JSON.stringify(this.preprocessors));
+    this.storage.setItem('word-ai-labelmap', JSON.stringify(this.getInverseLabelMap()));
+    this.storage.setItem('word-ai-config', JSON.stringify(exportConfig(this.trainedConfig())));
+    
+    // Describe the saved model so loadSavedModel() can find it
+    this.storage.setItem('word-ai-model-info', JSON.stringify({
+      name: 'word-ai-model',
+      version: version ? version.id : null,
+      path: this.modelUrl,
+      savedAt: new Date().toISOString(),
+      featureColumns: this.featureColumns,
+      labelColumn: this.labelColumn,
+      multiLabel: this.multiLabel,
+      labelThresholds: this.multiLabel ? this.getLabelThresholds() : null,
+      regression: this.regression,
+      targetScaling: this.targetScaling,
+      watermark: this.watermark,
+      accuracy
+    }));
+  }
+  
+  /**
+   * Load a registered version so predict() uses it
+   */
+  async loadVersion(id) {
+    await this.loadBundle(await this.registry.load(id));
+    this.setButtonEnabled('export-button', true);
+    this.updateStatus(`Model version ${id} loaded. Ready to predict.`);
+  }
+  
+  /**
+   * Make a registered version the active model: load it and write it to the
+   * slot loadSavedModel() reads
+   */
+  async promoteVersion(id) {
+    const summary = await this.registry.get(id);
+    
+    await this.loadVersion(id);
+    await this.writeActiveModel(summary.metrics.accuracy, summary);
+    await this.registry.promote(id);
+    
+    this.logMessage(`Model version ${id} is now active`);
+    await this.renderModelRegistry();
+  }
+  
+  /**
+   * Delete a registered version
+   */
+  async deleteVersion(id) {
+    await this.registry.delete(id);
+    this.logMessage(`Model version ${id} deleted`);
+    await this.renderModelRegistry();
+  }
+  
+  /**
+   * List the registered versions in the Models tab
+   */
+  async renderModelRegistry() {
+    const container = this.hasUI ? document.getElementById('model-list') : null;
+    if (!container) return;
+    
+    if (!this.registry) {
+      container.textContent = 'Saving model versions needs IndexedDB, which this browser does not provide.';
+      return;
+    }
+    
+    const versions = await this.registry.list();
+    container.textContent = '';
+    
+    if (versions.length === 0) {
+      container.textContent = 'No saved models yet. Train a model and click Save Model.';
+      return;
+    }
+    
+    const table = document.createElement('table');
+    table.className = 'report-table';
+    
+    const header = table.insertRow();
+    ['', 'Version', 'Name', 'Saved', 'Label', 'Accuracy', 'Macro F1', ''].forEach(text => {
+      const cell = document.createElement('th');
+      cell.textContent = text;
+      header.appendChild(cell);
+    });
+    
+    const formatMetric = value => (typeof value === 'number' ? value.toFixed(4) : 'N/A');
+    
+    versions.forEach(version => {
+      const row = table.insertRow();
       
-      // Save model using TensorFlow.js
-      await this.model.save(`localstorage://word-ai-model`);
-      
-      // Generate inverse label map for predictions
-      const inverseLabelMap = {};
-      Object.entries(this.labelMap).forEach(([label, index]) => {
-        inverseLabelMap[index] = label;
-      });
-      
-      // Save preprocessors and label mapping to localStorage
-      localStorage.setItem('word-ai-preprocessors', JSON.stringify(this.preprocessors));
-      localStorage.setItem('word-ai-labelmap', JSON.stringify(inverseLabelMap));
-      
-      // Save model metadata to database
-      const evalResults = await this.evaluateModel();
-      
-      const modelInfo = {
-        name: 'word-ai-model',
-        accuracy: evalResults.accuracy,
-        parameters: {
-          featureColumns: this.featureColumns,
-          labelColumn: this.labelColumn,
-          numClasses: Object.keys(this.labelMap).length,
-          epochs: config.epochs,
-          batchSize: config.batchSize
-        },
-        path: 'localstorage://word-ai-model'
-      };
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'compare-version';
+      checkbox.value = version.id;
+      row.insertCell().appendChild(checkbox);
       
-      const response = await this.apiRequest('save_model', { model: modelInfo });
+      [
+        version.active ? `${version.id} (active)` : version.id,
+        version.name,
+        new Date(version.createdAt).toLocaleString(),
+        version.labelColumn,
+        formatMetric(version.metrics.accuracy),
+        formatMetric(version.metrics.macroF1)
+      ].forEach(text => {
+        row.insertCell().textContent = text;
+      });
       
-      if (response.status === 'success') {
-        this.logMessage(`Model saved successfully with ID: ${response.id}`);
-        this.updateStatus('Model saved successfully!');
-      } else {
-        this.logMessage(`Warning: Model saved to browser but failed to save metadata to database: ${response.message}`);
-        this.updateStatus('Model saved to browser but failed to save metadata to database.');
-      }
+      const actions = row.insertCell();
+      [['load', 'Load'], ['promote', 'Make Active'], ['delete', 'Delete']].forEach(([action, label]) => {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.dataset.action = action;
+        button.dataset.version = version.id;
+        button.disabled = action === 'promote' && version.active;
+        actions.appendChild(button);
+      });
+    });
+    
+    container.appendChild(table);
+  }
+  
+  /**
+   * Show the selected versions' metrics and differing settings side by side
+   */
+  async renderVersionComparison(ids) {
+    const container = this.hasUI ? document.getElementById('model-comparison') : null;
+    if (!container) return;
+    
+    container.textContent = '';
+    
+    if (ids.length < 2) {
+      container.textContent = 'Select at least two versions to compare.';
+      return;
+    }
+    
+    const comparison = await this.registry.compare(ids);
+    
+    const table = document.createElement('table');
+    table.className = 'report-table';
+    
+    const addRow = (name, values, header = false) => {
+      const row = table.insertRow();
+      [name, ...values].forEach(value => {
+        const cell = document.createElement(header ? 'th' : 'td');
+        cell.textContent = typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(4) :
+          (value === undefined ? 'N/A' : typeof value === 'object' ? JSON.stringify(value) : String(value));
+        row.appendChild(cell);
+      });
+    };
+    
+    addRow('', comparison.versions.map(version => `${version.id} (${version.name})`), true);
+    comparison.metrics.forEach(metric => {
+      addRow(metric, comparison.versions.map(version => version.metrics[metric]));
+    });
+    comparison.configDifferences.forEach(key => {
+      addRow(key, comparison.versions.map(version => version.config[key]));
+    });
+    
+    container.appendChild(table);
+    
+    if (comparison.configDifferences.length === 0) {
+      const note = document.createElement('p');
+      note.textContent = 'These versions were trained with the same settings.';
+      container.appendChild(note);
+    }
+  }
+  
+  /**
+   * Package the trained model with everything needed to use it (see model-bundle.js)
+   */
+  async createBundle() {
+    if (!this.model) {
+      throw new Error('Model not trained yet');
+    }
+    return ModelBundle.create(this, this.trainedConfig());
+  }
+  
+  /**
+   * config with the model architecture the current model was built with,
+   * which differs from config.model after fine-tuning with changed settings
+   */
+  trainedConfig() {
+    return { ...config, model: { ...config.model, ...this.modelConfig } };
+  }
+  
+  /**
+   * Download the trained model as a single bundle file
+   */
+  async downloadBundle() {
+    try {
+      const bundle = await this.createBundle();
+      ModelBundle.download(bundle, `word-ai-model-${bundle.createdAt.slice(0, 10)}.json`);
+      this.logMessage('Model bundle downloaded');
     } catch (error) {
-      this.updateStatus(`Error saving model: ${error.message}`, true);
+      this.updateStatus(`Error exporting model: ${error.message}`, true);
       console.error(error);
     }
   }
   
   /**
-   * Make a prediction with the trained model
+   * Replace the current model with one loaded from a bundle, so predict() uses it
+   */
+  async loadBundle(source) {
+    const predictor = await ModelBundle.load(source);
+    
+    this.model = predictor.model;
+    this.multiLabel = predictor.multiLabel;
+    this.labelThresholds = predictor.labelThresholds;
+    this.regression = predictor.regression;
+    this.targetScaling = predictor.targetScaling;
+    this.compileModel();
+    this.preprocessors = predictor.preprocessors;
+    this.featureColumns = predictor.featureColumns;
+    this.labelColumn = predictor.labelColumn;
+    this.labelMap = {};
+    predictor.labels.forEach((label, index) => {
+      this.labelMap[label] = index;
+    });
+    this.watermark = predictor.bundle.watermark ? { ...predictor.bundle.watermark } : null;
+    
+    // Rows loaded for another model do not belong to this one; its metrics come along for saving
+    const metrics = predictor.metrics || {};
+    this.features = [];
+    this.labels = [];
+    this.splits = null;
+    this.newRowsOnly = false;
+    this.evaluationResults = metrics.evaluation || null;
+    this.trainingTime = metrics.trainingTimeMs || 0;
+    this.trainingSummary = metrics.training || null;
+    this.trainingLogs = metrics.history || [];
+    this.modelConfig = predictor.config && predictor.config.model ? architectureOf(predictor.config.model) : null;
+    this.setButtonEnabled('finetune-button', this.watermark !== null);
+    
+    this.logMessage(`Loaded model bundle from ${predictor.bundle.createdAt} ` +
+      `(features: ${this.featureColumns.join(', ')}; label: ${this.labelColumn})`);
+    this.setMetric('classes-metric', this.regression ? 'Regression' : predictor.labels.length);
+    
+    return predictor;
+  }
+  
+  /**
+   * Make a prediction with the trained model. `input` is either a string,
+   * used for every text column, or an object of column values. `options`
+   * overrides config.prediction ({ topK, threshold }); see rankPrediction().
+   * With `options.explain` the result also has per-word attributions; see
+   * explainPrediction(). Regression models return the predicted number.
    */
-  async predict(text) {
+  async predict(input, options = {}) {
     try {
-      if (!this.model) {
-        throw new Error('Model not trained yet');
+      const [result] = this.predictRows([input], options);
+      if (options.explain && !this.regression) {
+        result.explanation = this.explainPrediction(input, result.topK[0].label);
       }
+      return result;
+    } catch (error) {
+      this.logMessage(`Error during prediction: ${error.message}`);
+      console.error(error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Predict several inputs (strings or row objects) at once, with one tensor
+   * per feature column for the whole batch. Returns a rankPrediction()
+   * result per input; multi-label models also list every label above its
+   * threshold. Regression models return a number per input.
+   */
+  predictRows(inputs, options = {}) {
+    if (!this.model) {
+      throw new Error('Model not trained yet');
+    }
+    
+    // Prepare input data
+    const inputTensors = {};
+    
+    for (const column of this.featureColumns) {
+      const preprocessor = this.preprocessors[column];
+      const values = inputs.map(input => FeatureEncoder.inputValue(preprocessor, input, column));
+      inputTensors[column] = FeatureEncoder.encode(preprocessor, values);
+    }
+    
+    // Run prediction
+    const prediction = this.model.predict(this.toModelInputs(inputTensors));
+    const probabilities = prediction.dataSync();
+    const numClasses = prediction.shape[1];
+    
+    // Clean up tensors
+    prediction.dispose();
+    Object.values(inputTensors).forEach(tensor => tensor.dispose());
+    
+    if (this.regression) {
+      const { mean, std } = this.targetScaling;
+      return Array.from(probabilities, value => value * std + mean);
+    }
+    
+    const labels = this.getInverseLabelMap();
+    const rankOptions = this.multiLabel ? { labelThresholds: this.getLabelThresholds(), ...options } : options;
+    return inputs.map((input, i) => {
+      return rankPrediction(probabilities.subarray(i * numClasses, (i + 1) * numClasses), labels, rankOptions);
+    });
+  }
+  
+  /**
+   * Occlusion attributions for one input: each word of each text column is
+   * left out in turn (all variants are predicted as one batch) and scored by
+   * how much the probability of `label` drops without it. Positive scores
+   * pushed the prediction toward `label`, negative ones away from it.
+   * Returns { [column]: [{ token, score, oov }] } with words as the column's
+   * tokenizer splits them; `oov` marks words with tokens outside the vocabulary.
+   */
+  explainPrediction(input, label) {
+    const row = {};
+    this.featureColumns.forEach(column => {
+      row[column] = FeatureEncoder.inputValue(this.preprocessors[column], input, column);
+    });
+    
+    // Text is split and normalized once; the baseline and every variant are
+    // encoded from those words, so only the left-out word differs
+    const textColumns = this.featureColumns
+      .filter(column => this.preprocessors[column].type === 'text' && row[column] !== null);
+    textColumns.forEach(column => {
+      row[column] = tokenizerFor(this.preprocessors[column]).splitWords(row[column]);
+    });
+    
+    const variants = [row];
+    const explained = [];
+    
+    textColumns.forEach(column => {
+      const preprocessor = this.preprocessors[column];
       
-      // Prepare input data
-      const inputTensors = {};
+      // Words are left out whole; a word is OOV when any of its tokens is
+      const tokenizer = tokenizerFor(preprocessor);
+      const words = row[column];
+      words.forEach((word, i) => {
+        const occluded = words.filter((other, j) => j !== i);
+        variants.push({ ...row, [column]: occluded });
+        explained.push({
+          column,
+          token: word,
+          oov: tokenizer.tokenizeWord(word).some(token => !Object.prototype.hasOwnProperty.call(preprocessor.vocabulary, token))
+        });
+      });
+    });
+    
+    const labelIndex = this.labelMap[label];
+    const [original, ...occluded] = this.predictRows(variants)
+      .map(result => result.probabilities[labelIndex]);
+    
+    const explanation = {};
+    explained.forEach(({ column, token, oov }, i) => {
+      (explanation[column] = explanation[column] || []).push({ token, score: original - occluded[i], oov });
+    });
+    return explanation;
+  }
+  
+  /**
+   * Predict the rows of a data source, or `limit` of them from `offset`,
+   * fetching a page (config.streamPageSize rows) at a time and predicting
+   * config.batchSize rows per tensor. Returns { columns, rows }: the input
+   * rows with predicted_class, confidence, uncertain and the top-k classes
+   * and probabilities appended. For multi-label models predicted_class holds
+   * every predicted label, joined with config.labelDelimiter; regression
+   * models append predicted_value only. Errors are thrown to the caller.
+   */
+  async predictDataSource(dataSource, { offset = 0, limit = null, onProgress = () => {}, ...options } = {}) {
+    const { topK } = { ...config.prediction, ...options };
+    const available = Math.max(0, (await dataSource.getCount()) - offset);
+    const total = limit === null ? available : Math.min(limit, available);
+    
+    const fields = (await dataSource.getSchema()).map(column => column.Field);
+    this.featureColumns.filter(column => !fields.includes(column)).forEach(column => {
+      this.logMessage(`Warning: column '${column}' is missing; predicting as if it were empty`);
+    });
+    
+    const columns = [...fields];
+    if (this.regression) {
+      columns.push('predicted_value');
+    } else {
+      columns.push('predicted_class', 'confidence', 'uncertain');
+      for (let k = 1; k <= topK; k++) {
+        columns.push(`top${k}_class`, `top${k}_probability`);
+      }
+    }
+    
+    const rows = [];
+    for (let start = 0; start < total; start += config.streamPageSize) {
+      const page = await dataSource.getBatch(offset + start, Math.min(config.streamPageSize, total - start));
+      if (page.length === 0) break;
       
-      for (const column of this.featureColumns) {
-        const preprocessor = this.preprocessors[column];
+      for (let i = 0; i < page.length; i += config.batchSize) {
+        const batch = page.slice(i, i + config.batchSize);
         
-        if (preprocessor.type === 'text') {
-          // Tokenize and convert to indices
-          const tokens = text.toLowerCase().split(/\s+/).map(word => {
-            return preprocessor.vocabulary[word] || 0; // 0 for unknown words
-          });
+        this.predictRows(batch, options).forEach((result, j) => {
+          if (this.regression) {
+            rows.push({ ...batch[j], predicted_value: result });
+            return;
+          }
           
-          // Create tensor (add batch dimension)
-          inputTensors[column] = tf.tensor2d([tokens], [1, tokens.length], 'int32');
-        }
+          const row = {
+            ...batch[j],
+            predicted_class: result.predictedLabels ? result.predictedLabels.join(config.labelDelimiter) : result.predictedClass,
+            confidence: result.probability,
+            uncertain: result.uncertain
+          };
+          result.topK.forEach(({ label, probability }, k) => {
+            row[`top${k + 1}_class`] = label;
+            row[`top${k + 1}_probability`] = probability;
+          });
+          rows.push(row);
+        });
+        
+        onProgress(rows.length, total);
+        await tf.nextFrame();
       }
+    }
+    
+    return { columns, rows };
+  }
+  
+  /**
+   * Run predictDataSource() from the Predict tab and offer the results as a CSV download
+   */
+  async runBatchPrediction(dataSource, range = {}, options = {}) {
+    const summary = this.hasUI ? document.getElementById('batch-result') : null;
+    
+    try {
+      this.updateStatus('Running batch prediction...');
+      this.setButtonEnabled('batch-download-button', false);
+      this.updateProgress(0);
       
-      // Run prediction
-      const prediction = await this.model.predict(inputTensors);
-      const probabilities = prediction.dataSync();
-      
-      // Get inverse label map
-      const inverseLabelMap = {};
-      Object.entries(this.labelMap).forEach(([label, index]) => {
-        inverseLabelMap[index] = label;
+      this.batchResults = await this.predictDataSource(dataSource, {
+        ...range,
+        ...options,
+        onProgress: (done, total) => {
+          this.updateProgress(Math.round((done / total) * 100));
+          this.updateStatus(`Predicted ${done} of ${total} rows...`);
+        }
       });
       
-      // Find predicted class
-      const predictedIndex = probabilities.indexOf(Math.max(...probabilities));
-      const predictedClass = inverseLabelMap[predictedIndex];
-      
-      // Clean up tensors
-      prediction.dispose();
-      Object.values(inputTensors).forEach(tensor => tensor.dispose());
+      // Rows per predicted class, or the average predicted value
+      let breakdown;
+      if (this.regression) {
+        const values = this.batchResults.rows.map(row => row.predicted_value);
+        breakdown = values.length > 0 ? `mean predicted value ${(values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(4)}` : '';
+      } else {
+        const counts = {};
+        this.batchResults.rows.forEach(row => {
+          const key = row.uncertain ? 'uncertain' : row.predicted_class;
+          counts[key] = (counts[key] || 0) + 1;
+        });
+        breakdown = Object.entries(counts).map(([label, count]) => `${label}: ${count}`).join(', ');
+      }
       
-      return {
-        predictedClass,
-        probability: probabilities[predictedIndex],
-        probabilities: Array.from(probabilities)
-      };
+      if (summary) summary.textContent = `${this.batchResults.rows.length} rows predicted (${breakdown || 'none'})`;
+      this.updateStatus('Batch prediction complete. Download the results as CSV.');
+      this.setButtonEnabled('batch-download-button', this.batchResults.rows.length > 0);
     } catch (error) {
-      this.logMessage(`Error during prediction: ${error.message}`);
+      this.updateStatus(`Error during batch prediction: ${error.message}`, true);
       console.error(error);
-      throw error;
     }
   }
   
   /**
-   * Make API request to PHP backend
+   * Download the last batch prediction results as CSV
    */
-  async apiRequest(action, additionalData = {}) {
-    try {
-      const requestData = {
-        action,
-        ...config.dbConfig,
-        ...additionalData
-      };
+  downloadBatchResults() {
+    const { columns, rows } = this.batchResults;
+    const blob = new Blob([formatCsv(rows, columns)], { type: 'text/csv' });
+    
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'word-ai-predictions.csv';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+  }
+  
+  /**
+   * Show a prediction in the Predict tab: the chosen class (or that it is
+   * uncertain), or every predicted label of a multi-label model, and the
+   * top-k classes with their probabilities; or the number a regression model
+   * predicted
+   */
+  renderPrediction(result, threshold) {
+    const container = this.hasUI ? document.getElementById('predict-result') : null;
+    if (!container) return;
+    
+    if (typeof result === 'number') {
+      container.textContent = `Predicted ${this.labelColumn}: ${result.toFixed(4)}`;
+      return;
+    }
+    
+    const percent = probability => `${(probability * 100).toFixed(2)}%`;
+    if (result.predictedLabels) {
+      container.textContent = result.uncertain
+        ? `No label reached its threshold; the most likely, ${result.topK[0].label}, has ${percent(result.probability)}`
+        : `Predicted labels: ${result.predictedLabels.join(', ')}`;
+    } else {
+      container.textContent = result.uncertain
+        ? `Uncertain: the most likely class, ${result.topK[0].label}, has only ${percent(result.probability)} confidence (threshold ${percent(threshold)})`
+        : `Predicted class: ${result.predictedClass} (${percent(result.probability)} confidence)`;
+    }
+    
+    const list = document.createElement('ol');
+    list.className = 'prediction-ranking';
+    result.topK.forEach(({ label, probability }) => {
+      const item = document.createElement('li');
+      item.textContent = `${label}: ${percent(probability)}`;
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+    
+    if (result.explanation) {
+      this.renderExplanation(result.explanation, result.topK[0].label);
+    }
+  }
+  
+  /**
+   * Highlight the words of each text column by their attribution: green
+   * pushed the prediction toward `label`, red away from it; out-of-vocabulary
+   * words are underlined
+   */
+  renderExplanation(explanation, label) {
+    const container = this.hasUI ? document.getElementById('predict-result') : null;
+    if (!container) return;
+    
+    const scores = Object.values(explanation).flat().map(({ score }) => Math.abs(score));
+    const maxScore = Math.max(1e-6, ...scores);
+    
+    const section = document.createElement('div');
+    section.className = 'explanation';
+    section.appendChild(document.createTextNode(`Words that pushed the prediction toward (green) or away from (red) ${label}:`));
+    
+    Object.entries(explanation).forEach(([column, tokens]) => {
+      const line = document.createElement('div');
+      line.appendChild(document.createTextNode(`${column}: `));
       
-      const response = await fetch(config.apiEndpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestData)
+      tokens.forEach(({ token, score, oov }) => {
+        const span = document.createElement('span');
+        span.className = oov ? 'token oov' : 'token';
+        span.textContent = token;
+        span.title = `${score >= 0 ? '+' : ''}${(score * 100).toFixed(2)} percentage points` +
+          (oov ? ' (out of vocabulary)' : '');
+        
+        const strength = (Math.abs(score) / maxScore * 0.6).toFixed(2);
+        span.style.backgroundColor = score >= 0 ? `rgba(46, 204, 113, ${strength})` : `rgba(231, 76, 60, ${strength})`;
+        line.appendChild(span);
       });
       
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      
-      return await response.json();
-    } catch (error) {
-      console.error('API request failed:', error);
-      return {
-        status: 'error',
-        message: error.message
-      };
-    }
+      section.appendChild(line);
+    });
+    
+    container.appendChild(section);
   }
   
   /**
@@ -620,6 +3133,16 @@ class WordAI {
     console.log(message);
   }
   
+  /**
+   * Enable or disable a control button (no-op without a UI)
+   */
+  setButtonEnabled(id, enabled) {
+    const button = this.hasUI ? document.getElementById(id) : null;
+    if (button) {
+      button.disabled = !enabled;
+    }
+  }
+  
   /**
    * Update progress bar in UI
    */
@@ -644,24 +3167,204 @@ class WordAI {
   }
 }
 
-// Initialize the application when document is ready
-document.addEventListener('DOMContentLoaded', () => {
-  const app = new WordAI();
+// Initialize the application when document is ready (browser only; see train-cli.js for Node)
+if (typeof document !== 'undefined') document.addEventListener('DOMContentLoaded', () => {
+  // Built-in defaults, for the Settings tab's reset button
+  const defaultConfig = JSON.parse(JSON.stringify(config));
+  
+  // Settings saved from the Settings tab apply to every visit
+  const savedSettings = JSON.parse(localStorage.getItem('word-ai-settings') || 'null');
+  if (savedSettings && validateConfig(savedSettings, config).length === 0) {
+    mergeConfig(config, savedSettings);
+  }
+  
+  let app = new WordAI();
+  let wordVectors = null; // Uploaded pretrained word vector file
+  
+  // Start over with a fresh trainer, e.g. after choosing another data source or columns
+  const restart = (dataSource) => {
+    app = new WordAI({ dataSource, wordVectors });
+    window.wordAI = app;
+    app.init();
+  };
   
   // Initialize the application
   app.init();
   
   // Set up event listeners
+  document.getElementById('data-file').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    let dataSource;
+    try {
+      dataSource = createDataSource({ file });
+    } catch (error) {
+      app.updateStatus(`Could not read ${file.name}: ${error.message}`, true);
+      return;
+    }
+    restart(dataSource);
+    app.logMessage(`Using data file: ${file.name}`);
+  });
+  
+  document.getElementById('vectors-file').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    wordVectors = file;
+    restart(app.dataSource);
+    app.logMessage(`Using pretrained word vectors: ${file.name}`);
+  });
+  
+  document.getElementById('schema-info').addEventListener('click', (e) => {
+    if (e.target.id === 'apply-columns-button') {
+      try {
+        app.saveColumnSelection(app.readColumnSelection());
+      } catch (error) {
+        app.updateStatus(error.message, true);
+        return;
+      }
+    } else if (e.target.id === 'reset-columns-button') {
+      app.saveColumnSelection(null);
+    } else {
+      return;
+    }
+    
+    restart(app.dataSource);
+  });
+  
+  // Validate settings from the form or an imported file, then retrain from scratch with them
+  const applySettings = (settings, source) => {
+    const errors = validateConfig(settings, config);
+    document.getElementById('settings-errors').textContent = errors.join('\n');
+    
+    if (errors.length > 0) {
+      app.updateStatus(`Invalid settings in ${source}`, true);
+      return;
+    }
+    
+    // Save the merged result: a partial import keeps the settings saved before it
+    mergeConfig(config, settings);
+    localStorage.setItem('word-ai-settings', JSON.stringify(exportConfig(config)));
+    restart(app.dataSource);
+    app.logMessage(`Applied settings from ${source}`);
+  };
+  
+  document.getElementById('settings-tab').addEventListener('click', (e) => {
+    if (e.target.id === 'apply-settings-button') {
+      applySettings(app.readSettings(), 'the settings form');
+    } else if (e.target.id === 'reset-settings-button') {
+      Object.assign(config, JSON.parse(JSON.stringify(defaultConfig)));
+      localStorage.removeItem('word-ai-settings');
+      document.getElementById('settings-errors').textContent = '';
+      restart(app.dataSource);
+      app.logMessage('Settings reset to defaults');
+    } else if (e.target.id === 'export-settings-button') {
+      const blob = new Blob([JSON.stringify(exportConfig(config), null, 2)], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = 'word-ai-config.json';
+      link.click();
+      URL.revokeObjectURL(link.href);
+    }
+  });
+  
+  document.getElementById('settings-file').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    try {
+      applySettings(JSON.parse(await file.text()), file.name);
+    } catch (error) {
+      app.updateStatus(`Could not read ${file.name}: ${error.message}`, true);
+    }
+    e.target.value = '';
+  });
+  
   document.getElementById('train-button').addEventListener('click', () => {
     app.trainModel();
   });
   
+  document.getElementById('search-tab').addEventListener('click', (e) => {
+    const errorElement = document.getElementById('search-errors');
+    
+    if (e.target.id === 'search-button') {
+      let space;
+      try {
+        space = JSON.parse(document.getElementById('search-space').value);
+      } catch (error) {
+        errorElement.textContent = `Search space is not valid JSON: ${error.message}`;
+        return;
+      }
+      
+      const errors = validateConfig({ search: { space } }, config);
+      errorElement.textContent = errors.join('\n');
+      if (errors.length > 0) return;
+      
+      config.search.space = space;
+      app.searchHyperparameters();
+    } else if (e.target.id === 'train-winner-button') {
+      app.trainWithSettings(app.searchResults[0].settings);
+    } else if (e.target.dataset.rank !== undefined) {
+      app.trainWithSettings(app.searchResults[Number(e.target.dataset.rank)].settings);
+    }
+  });
+  
+  document.getElementById('finetune-button').addEventListener('click', () => {
+    app.fineTuneModel();
+  });
+  
   document.getElementById('evaluate-button').addEventListener('click', () => {
     app.evaluateModel();
   });
   
-  document.getElementById('save-button').addEventListener('click', () => {
-    app.saveModel();
+  document.getElementById('save-button').addEventListener('click', () => {
+    app.saveModel();
+  });
+  
+  document.getElementById('export-button').addEventListener('click', () => {
+    app.downloadBundle();
+  });
+  
+  document.getElementById('bundle-file').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    try {
+      await app.loadBundle(file);
+      app.updateStatus(`Model loaded from ${file.name}. Ready to predict.`);
+      app.setButtonEnabled('export-button', true);
+    } catch (error) {
+      app.updateStatus(`Error loading model bundle: ${error.message}`, true);
+      console.error(error);
+    }
+  });
+  
+  document.getElementById('models-tab').addEventListener('click', async (e) => {
+    const { action, version } = e.target.dataset || {};
+    
+    try {
+      if (e.target.id === 'compare-models-button') {
+        const ids = Array.from(document.querySelectorAll('.compare-version:checked')).map(input => input.value);
+        await app.renderVersionComparison(ids);
+      } else if (action === 'load') {
+        await app.loadVersion(version);
+      } else if (action === 'promote') {
+        await app.promoteVersion(version);
+      } else if (action === 'delete' && confirm(`Delete model version ${version}?`)) {
+        await app.deleteVersion(version);
+      }
+    } catch (error) {
+      app.updateStatus(`Model registry error: ${error.message}`, true);
+      console.error(error);
+    }
+  });
+  
+  // Top-k and threshold from the Predict tab, for single and batch predictions
+  const readPredictOptions = () => ({
+    topK: Number(document.getElementById('predict-top-k').value) || config.prediction.topK,
+    threshold: Number(document.getElementById('predict-threshold').value) || 0,
+    explain: document.getElementById('predict-explain').checked
   });
   
   document.getElementById('predict-form').addEventListener('submit', async (e) => {
@@ -674,11 +3377,13 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
     
+    const options = readPredictOptions();
+    
     try {
       app.updateStatus('Making prediction...');
-      const result = await app.predict(textInput);
+      const result = await app.predict(textInput, options);
       
-      resultElement.textContent = `Predicted class: ${result.predictedClass} (${(result.probability * 100).toFixed(2)}% confidence)`;
+      app.renderPrediction(result, options.threshold);
       app.updateStatus('Prediction complete');
     } catch (error) {
       resultElement.textContent = `Error: ${error.message}`;
@@ -686,23 +3391,51 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
   
+  document.getElementById('batch-file').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    try {
+      await app.runBatchPrediction(createDataSource({ file }), {}, readPredictOptions());
+    } catch (error) {
+      app.updateStatus(`Could not read ${file.name}: ${error.message}`, true);
+    }
+    e.target.value = '';
+  });
+  
+  document.getElementById('batch-table-button').addEventListener('click', () => {
+    const range = {
+      offset: Math.max(0, Number(document.getElementById('batch-offset').value) || 0),
+      limit: Number(document.getElementById('batch-limit').value) || null
+    };
+    app.runBatchPrediction(app.dataSource, range, readPredictOptions());
+  });
+  
+  document.getElementById('batch-download-button').addEventListener('click', () => {
+    app.downloadBatchResults();
+  });
+  
+  document.getElementById('predict-top-k').value = config.prediction.topK;
+  document.getElementById('predict-threshold').value = config.prediction.threshold;
+  
   // Make the app object available globally for debugging
   window.wordAI = app;
 });
 
 /**
- * Helper functions for text processing
+ * Helper functions for text processing, kept for scripts written against
+ * them; the trainer itself uses the configurable tokenizers (tokenizers.js)
  */
 const TextProcessor = {
+  tokenizer: null,
+  
   /**
-   * Tokenize text into words
+   * Tokenize text into lowercase words without punctuation
    */
   tokenize(text) {
     if (!text || typeof text !== 'string') return [];
-    return text.toLowerCase()
-      .replace(/[^\w\s]/g, '') // Remove punctuation
-      .split(/\s+/)            // Split on whitespace
-      .filter(word => word.length > 0);
+    this.tokenizer = this.tokenizer || createTokenizer({ stripPunctuation: true });
+    return this.tokenizer.tokenize(text);
   },
   
   /**
@@ -710,12 +3443,557 @@ const TextProcessor = {
    */
   normalizeText(text) {
     if (!text || typeof text !== 'string') return '';
-    return text.toLowerCase()
+    return new TextNormalizer().normalizeText(text)
       .trim()
       .replace(/\s+/g, ' '); // Normalize whitespace
   }
 };
 
+/**
+ * Helper functions for turning column values into model input tensors,
+ * shared by training and prediction
+ */
+const FeatureEncoder = {
+  /**
+   * Encode one column's values for a batch of rows
+   */
+  encode(preprocessor, values) {
+    if (preprocessor.type === 'numeric') {
+      const scaled = values.map(value => [FeatureEncoder.scaleNumber(preprocessor, value)]);
+      return tf.tensor2d(scaled, [values.length, 1], 'float32');
+    }
+    
+    if (preprocessor.type === 'categorical') {
+      const indices = values.map(value => FeatureEncoder.categoryIndex(preprocessor, value));
+      
+      if (preprocessor.encoding === 'embedding') {
+        return tf.tensor2d(indices, [values.length, 1], 'int32');
+      }
+      return tf.tidy(() => tf.oneHot(tf.tensor1d(indices, 'int32'), preprocessor.numCategories).toFloat());
+    }
+    
+    if (preprocessor.encoding === 'tfidf') {
+      return FeatureEncoder.encodeTfidf(preprocessor, values);
+    }
+    
+    // Convert text to token sequences
+    const sequences = values.map(value => {
+      if (value === null || value === undefined) return [0];
+      
+      // Tokenize and convert to indices
+      const tokens = FeatureEncoder.tokenize(preprocessor, value).map(token => FeatureEncoder.tokenIndex(preprocessor, token));
+      return tokens.length > 0 ? tokens : [0];
+    });
+    
+    // Pad sequences to same length
+    const maxLength = sequences.reduce((max, seq) => Math.max(max, seq.length), 1);
+    const paddedSequences = sequences.map(seq => {
+      if (seq.length >= maxLength) return seq.slice(0, maxLength);
+      return [...seq, ...Array(maxLength - seq.length).fill(0)];
+    });
+    
+    return tf.tensor2d(paddedSequences, [paddedSequences.length, maxLength], 'int32');
+  },
+  
+  /**
+   * Encode text as L2-normalized TF-IDF vectors over the vocabulary
+   * (word counts weighted by the preprocessor's inverse document frequencies)
+   */
+  encodeTfidf(preprocessor, values) {
+    const size = preprocessor.vocabSize;
+    const buffer = new Float32Array(values.length * size);
+    
+    values.forEach((value, row) => {
+      if (value === null || value === undefined) return;
+      
+      const weights = new Map();
+      FeatureEncoder.tokenize(preprocessor, value).forEach(token => {
+        const index = FeatureEncoder.tokenIndex(preprocessor, token);
+        if (index > 0) weights.set(index, (weights.get(index) || 0) + preprocessor.idf[index]);
+      });
+      
+      const norm = Math.sqrt(Array.from(weights.values()).reduce((sum, weight) => sum + weight * weight, 0));
+      weights.forEach((weight, index) => {
+        buffer[row * size + index] = weight / norm;
+      });
+    });
+    
+    return tf.tensor2d(buffer, [values.length, size], 'float32');
+  },
+  
+  /**
+   * Look up a word's index: its vocabulary entry, else a hashed OOV bucket,
+   * else 0 for unknown words
+   */
+  tokenIndex(preprocessor, word) {
+    if (Object.prototype.hasOwnProperty.call(preprocessor.vocabulary, word)) {
+      return preprocessor.vocabulary[word];
+    }
+    
+    if (preprocessor.oovBuckets > 0) {
+      return preprocessor.numWords + 1 + (FeatureEncoder.hashString(word) % preprocessor.oovBuckets);
+    }
+    return 0;
+  },
+  
+  /**
+   * 32-bit FNV-1a hash, stable across sessions so OOV buckets survive save and load
+   */
+  hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  },
+  
+  /**
+   * Pick a column's value from prediction input: a plain string only fills text columns
+   */
+  inputValue(preprocessor, input, column) {
+    if (typeof input === 'string') {
+      return preprocessor.type === 'text' ? input : null;
+    }
+    return input[column] === undefined ? null : input[column];
+  },
+  
+  /**
+   * Scale a number with the column's statistics. Missing values become 0,
+   * which is the mean for standardized columns.
+   */
+  scaleNumber(preprocessor, value) {
+    const number = value === null || value === undefined || value === '' ? NaN : Number(value);
+    if (!Number.isFinite(number)) return 0;
+    
+    if (preprocessor.scaling === 'normalize') {
+      const range = preprocessor.max - preprocessor.min;
+      return range > 0 ? (number - preprocessor.min) / range : 0;
+    }
+    return preprocessor.std > 0 ? (number - preprocessor.mean) / preprocessor.std : 0;
+  },
+  
+  /**
+   * Look up a category index (0 for unknown or missing values)
+   */
+  categoryIndex(preprocessor, value) {
+    if (value === null || value === undefined) return 0;
+    
+    const key = String(value);
+    return Object.prototype.hasOwnProperty.call(preprocessor.categories, key) ? preprocessor.categories[key] : 0;
+  },
+  
+  /**
+   * Split a text value into tokens with the tokenizer saved in its
+   * preprocessor. An array holds words that were already split and
+   * normalized (see explainPrediction()); they are not normalized again.
+   */
+  tokenize(preprocessor, value) {
+    const tokenizer = tokenizerFor(preprocessor);
+    if (Array.isArray(value)) {
+      return value.flatMap(word => tokenizer.tokenizeWord(word));
+    }
+    return tokenizer.tokenize(String(value));
+  }
+};
+
+/**
+ * Helper functions for classification metrics
+ */
+const Metrics = {
+  /**
+   * Count predictions: matrix[trueClass][predictedClass]
+   */
+  confusionMatrix(yTrue, yPred, numClasses) {
+    const matrix = Array.from({ length: numClasses }, () => Array(numClasses).fill(0));
+    yTrue.forEach((actual, i) => {
+      matrix[actual][yPred[i]]++;
+    });
+    return matrix;
+  },
+  
+  /**
+   * Confusion matrix with per-class precision, recall, F1 and support,
+   * plus macro and support-weighted averages
+   */
+  classificationReport(yTrue, yPred, labels) {
+    const matrix = Metrics.confusionMatrix(yTrue, yPred, labels.length);
+    
+    const perClass = labels.map((label, index) => {
+      const truePositives = matrix[index][index];
+      const support = matrix[index].reduce((sum, count) => sum + count, 0);
+      const predicted = matrix.reduce((sum, row) => sum + row[index], 0);
+      
+      return { label, ...Metrics.precisionRecallF1(truePositives, predicted, support), support };
+    });
+    
+    const total = yTrue.length;
+    const average = (key, weighted) => {
+      if (perClass.length === 0) return 0;
+      if (!weighted) return perClass.reduce((sum, row) => sum + row[key], 0) / perClass.length;
+      return total > 0 ? perClass.reduce((sum, row) => sum + row[key] * row.support, 0) / total : 0;
+    };
+    
+    const correct = matrix.reduce((sum, row, index) => sum + row[index], 0);
+    
+    return {
+      labels,
+      confusionMatrix: matrix,
+      perClass,
+      accuracy: total > 0 ? correct / total : 0,
+      support: total,
+      macro: { precision: average('precision'), recall: average('recall'), f1: average('f1') },
+      weighted: { precision: average('precision', true), recall: average('recall', true), f1: average('f1', true) }
+    };
+  },
+  
+  /**
+   * Multi-label report from 0/1 rows of true and predicted labels: per-label
+   * precision, recall, F1, support and threshold, micro averages (over every
+   * label decision) and macro averages (over labels), and as accuracy the
+   * share of rows whose whole label set was predicted
+   */
+  multiLabelReport(yTrue, yPred, labels, thresholds) {
+    const counts = labels.map(() => ({ truePositives: 0, predicted: 0, support: 0 }));
+    let exact = 0;
+    
+    yTrue.forEach((actual, i) => {
+      let match = true;
+      actual.forEach((value, index) => {
+        const predicted = yPred[i][index];
+        if (value) counts[index].support++;
+        if (predicted) counts[index].predicted++;
+        if (value && predicted) counts[index].truePositives++;
+        if (Boolean(value) !== Boolean(predicted)) match = false;
+      });
+      if (match) exact++;
+    });
+    
+    const perClass = labels.map((label, index) => {
+      const { truePositives, predicted, support } = counts[index];
+      return { label, ...Metrics.precisionRecallF1(truePositives, predicted, support), support, threshold: thresholds[index] };
+    });
+    
+    const sum = key => counts.reduce((total, count) => total + count[key], 0);
+    const average = key => (perClass.length > 0 ? perClass.reduce((total, row) => total + row[key], 0) / perClass.length : 0);
+    
+    return {
+      labels,
+      multiLabel: true,
+      perClass,
+      accuracy: yTrue.length > 0 ? exact / yTrue.length : 0,
+      support: yTrue.length,
+      labelCount: sum('support'),
+      micro: Metrics.precisionRecallF1(sum('truePositives'), sum('predicted'), sum('support')),
+      macro: { precision: average('precision'), recall: average('recall'), f1: average('f1') }
+    };
+  },
+  
+  /**
+   * Regression report from true and predicted numbers: mean absolute error,
+   * root mean squared error and R² (share of the label's variance explained;
+   * 0 when the labels do not vary)
+   */
+  regressionReport(yTrue, yPred) {
+    const count = yTrue.length;
+    const meanTarget = count > 0 ? yTrue.reduce((sum, value) => sum + value, 0) / count : 0;
+    
+    let absoluteError = 0;
+    let squaredError = 0;
+    let totalSquares = 0;
+    yTrue.forEach((actual, i) => {
+      const error = actual - yPred[i];
+      absoluteError += Math.abs(error);
+      squaredError += error * error;
+      totalSquares += (actual - meanTarget) ** 2;
+    });
+    
+    return {
+      regression: true,
+      support: count,
+      meanTarget,
+      mae: count > 0 ? absoluteError / count : 0,
+      rmse: count > 0 ? Math.sqrt(squaredError / count) : 0,
+      r2: totalSquares > 0 ? 1 - squaredError / totalSquares : 0
+    };
+  },
+  
+  /**
+   * Precision, recall and F1 from true positive, predicted and actual counts
+   */
+  precisionRecallF1(truePositives, predicted, support) {
+    const precision = predicted > 0 ? truePositives / predicted : 0;
+    const recall = support > 0 ? truePositives / support : 0;
+    const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+    return { precision, recall, f1 };
+  },
+  
+  /**
+   * Probability threshold (0.05 to 0.95 in steps of 0.05) with the best F1
+   * for one label, given its 0/1 truths and predicted probabilities. Ties go
+   * to the threshold closest to `fallback`, which is also returned for labels
+   * without positive rows.
+   */
+  bestThreshold(actual, scores, fallback) {
+    if (!actual.some(value => value)) return fallback;
+    
+    let best = { threshold: fallback, f1: -1 };
+    for (let step = 1; step < 20; step++) {
+      const threshold = step / 20;
+      let truePositives = 0;
+      let predicted = 0;
+      let support = 0;
+      
+      actual.forEach((value, i) => {
+        const positive = scores[i] >= threshold;
+        if (value) support++;
+        if (positive) predicted++;
+        if (value && positive) truePositives++;
+      });
+      
+      const { f1 } = Metrics.precisionRecallF1(truePositives, predicted, support);
+      const closer = Math.abs(threshold - fallback) < Math.abs(best.threshold - fallback);
+      if (f1 > best.f1 || (f1 === best.f1 && closer)) {
+        best = { threshold, f1 };
+      }
+    }
+    return best.threshold;
+  }
+};
+
+/**
+ * Early stopping, best-weight checkpoints and learning-rate schedules for one
+ * training run, driven by config.earlyStopping and config.lrSchedule
+ */
+class TrainingMonitor {
+  /**
+   * @param {tf.LayersModel} model - Compiled model being trained
+   * @param {Object} options
+   * @param {boolean} options.hasValidation - Whether val_* metrics will be reported
+   * @param {boolean} options.regression - Whether the model is a regression model (no accuracy)
+   * @param {Function} options.log - Receives progress messages
+   */
+  constructor(model, options) {
+    this.model = model;
+    this.log = options.log;
+    this.earlyStopping = config.earlyStopping;
+    this.schedule = config.lrSchedule;
+    
+    // tfjs reports accuracy as 'acc'; regression models have loss to watch instead
+    let metric = this.earlyStopping.monitor.replace('accuracy', 'acc');
+    if (options.regression && /acc/.test(metric)) {
+      metric = metric.replace('acc', 'loss');
+      this.log(`Warning: regression models report no accuracy; monitoring ${metric} instead of ${this.earlyStopping.monitor}`);
+    }
+    if (metric.startsWith('val_') && !options.hasValidation) {
+      metric = metric.slice(4);
+      this.log(`Warning: no validation split; monitoring ${metric} instead of ${this.earlyStopping.monitor}`);
+    }
+    this.metric = metric;
+    this.higherIsBetter = /acc/.test(metric);
+    
+    this.learningRate = config.model.learningRate;
+    this.best = null;
+    this.bestEpoch = -1;
+    this.bestWeights = null;
+    this.epochsSinceBest = 0;
+    this.epochsSinceReduction = 0;
+    this.lastEpoch = -1;
+    this.stopReason = 'completed';
+  }
+  
+  /**
+   * Apply the step or cosine schedule for this epoch
+   */
+  onEpochBegin(epoch) {
+    const { type, factor, stepSize, minLearningRate } = this.schedule;
+    let rate = this.learningRate;
+    
+    if (type === 'step') {
+      rate = config.model.learningRate * Math.pow(factor, Math.floor(epoch / stepSize));
+    } else if (type === 'cosine') {
+      const progress = config.epochs > 1 ? epoch / (config.epochs - 1) : 1;
+      rate = minLearningRate + 0.5 * (config.model.learningRate - minLearningRate) * (1 + Math.cos(Math.PI * progress));
+    }
+    
+    this.setLearningRate(rate);
+  }
+  
+  /**
+   * Track the monitored metric: checkpoint improvements, reduce the learning
+   * rate on a plateau and stop training when patience runs out
+   */
+  onEpochEnd(epoch, logs) {
+    const value = logs[this.metric];
+    const { minDelta, patience, restoreBestWeights } = this.earlyStopping;
+    this.lastEpoch = epoch;
+    
+    if (value === undefined || Number.isNaN(value)) {
+      return;
+    }
+    
+    const improved = this.best === null ||
+      (this.higherIsBetter ? value > this.best + minDelta : value < this.best - minDelta);
+    
+    if (improved) {
+      this.best = value;
+      this.bestEpoch = epoch;
+      this.epochsSinceBest = 0;
+      this.epochsSinceReduction = 0;
+      
+      if (this.earlyStopping.enabled && restoreBestWeights) {
+        if (this.bestWeights) this.bestWeights.forEach(weight => weight.dispose());
+        this.bestWeights = this.model.getWeights().map(weight => weight.clone());
+      }
+      return;
+    }
+    
+    this.epochsSinceBest++;
+    this.epochsSinceReduction++;
+    
+    if (this.schedule.type === 'plateau' && this.epochsSinceReduction >= this.schedule.patience) {
+      this.epochsSinceReduction = 0;
+      const rate = Math.max(this.schedule.minLearningRate, this.learningRate * this.schedule.factor);
+      if (rate < this.learningRate) {
+        this.log(`${this.metric} has not improved for ${this.schedule.patience} epochs; reducing learning rate to ${rate.toPrecision(3)}`);
+        this.setLearningRate(rate);
+      }
+    }
+    
+    if (this.earlyStopping.enabled && this.epochsSinceBest >= patience) {
+      this.stopReason = 'early_stopping';
+      this.model.stopTraining = true;
+      this.log(`Early stopping at epoch ${epoch + 1}: ${this.metric} has not improved for ${patience} epochs`);
+    }
+  }
+  
+  /**
+   * Restore the best weights if later epochs were worse, and summarize the run
+   */
+  finish() {
+    let restored = false;
+    
+    if (this.bestWeights) {
+      if (this.bestEpoch !== this.lastEpoch) {
+        this.model.setWeights(this.bestWeights);
+        restored = true;
+      }
+      this.bestWeights.forEach(weight => weight.dispose());
+      this.bestWeights = null;
+    }
+    
+    if (this.bestEpoch >= 0) {
+      this.log(`Best epoch ${this.bestEpoch + 1} (${this.metric} ${this.best.toFixed(4)})` +
+        (restored ? '; restored its weights' : ''));
+    }
+    
+    return {
+      monitor: this.metric,
+      bestEpoch: this.bestEpoch + 1,
+      bestValue: this.best,
+      epochsRun: this.lastEpoch + 1,
+      stopReason: this.stopReason,
+      restoredBestWeights: restored,
+      finalLearningRate: this.learningRate
+    };
+  }
+  
+  /**
+   * Change the optimizer's learning rate between batches
+   */
+  setLearningRate(rate) {
+    if (rate === this.learningRate) return;
+    
+    this.learningRate = rate;
+    const optimizer = this.model.optimizer;
+    if (typeof optimizer.setLearningRate === 'function') {
+      optimizer.setLearningRate(rate);
+    } else {
+      optimizer.learningRate = rate;
+    }
+  }
+}
+
+/**
+ * Format milliseconds as e.g. '42s' or '3m 05s'
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+  
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * Copy of the ARCHITECTURE_SETTINGS in a config.model; settings missing from
+ * an older saved config are left out
+ */
+function architectureOf(modelConfig) {
+  const architecture = {};
+  ARCHITECTURE_SETTINGS.forEach(key => {
+    if (modelConfig[key] !== undefined) {
+      architecture[key] = JSON.parse(JSON.stringify(modelConfig[key]));
+    }
+  });
+  return architecture;
+}
+
+/**
+ * Seeded pseudo-random number generator (mulberry32) returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fisher-Yates shuffle using the given random number generator
+ */
+function shuffleInPlace(array, random = Math.random) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+/**
+ * Copy a trained weight tensor into a fresh one of the same or larger shape.
+ * `rowMap` maps a new row of a matrix (first dimension) to the old row, -1
+ * keeping the fresh value; by default rows and columns beyond the old shape
+ * stay fresh. Biases are vectors and ignore `rowMap`.
+ */
+function remapWeights(oldWeight, newWeight, rowMap) {
+  const oldValues = oldWeight.arraySync();
+  const newValues = newWeight.arraySync();
+  const sourceIndex = (index, dimension) => {
+    if (dimension === 0 && rowMap && newWeight.rank === 2) return rowMap(index);
+    return index < oldWeight.shape[dimension] ? index : -1;
+  };
+  
+  const values = newValues.map((row, i) => {
+    const oldRow = sourceIndex(i, 0);
+    if (oldRow < 0) return row;
+    if (!Array.isArray(row)) return oldValues[oldRow];
+    
+    return row.map((value, j) => {
+      const oldColumn = sourceIndex(j, 1);
+      return oldColumn < 0 ? value : oldValues[oldRow][oldColumn];
+    });
+  });
+  
+  return tf.tensor(values, newWeight.shape, newWeight.dtype);
+}
+
 /**
  * Load a previously saved model
  */
@@ -737,8 +4015,8 @@ async function loadSavedModel() {
       return null;
     }
     
-    // Load the model
-    const model = await tf.loadLayersModel('localstorage://word-ai-model');
+    // Load the model from wherever save() wrote it
+    const model = await tf.loadLayersModel(modelInfo.path || 'localstorage://word-ai-model');
     
     return {
       model,
@@ -753,46 +4031,100 @@ async function loadSavedModel() {
 }
 
 /**
- * Make prediction with a loaded model
+ * Make prediction with a loaded model. `input` is either a string, used for
+ * every text column, or an object of column values. `labelMap` maps class
+ * indices to labels (an array works); `options` overrides config.prediction.
+ * For a multi-label model pass its `labelThresholds` (saved in the model
+ * info) with the options; see rankPrediction(). For a regression model pass
+ * its `targetScaling` instead, and the predicted number is returned.
  */
-async function predictWithLoadedModel(model, preprocessors, labelMap, text) {
+async function predictWithLoadedModel(model, preprocessors, labelMap, input, options = {}) {
   try {
     // Prepare input data
     const inputTensors = {};
     
     for (const column in preprocessors) {
       const preprocessor = preprocessors[column];
+      const value = FeatureEncoder.inputValue(preprocessor, input, column);
       
-      if (preprocessor.type === 'text') {
-        // Tokenize and convert to indices
-        const tokens = TextProcessor.tokenize(text).map(word => {
-          return preprocessor.vocabulary[word] || 0; // 0 for unknown words
-        });
-        
-        // Create tensor (add batch dimension)
-        inputTensors[column] = tf.tensor2d([tokens], [1, tokens.length], 'int32');
-      }
+      // Create tensor (add batch dimension)
+      inputTensors[column] = FeatureEncoder.encode(preprocessor, [value]);
     }
     
-    // Run prediction
-    const prediction = await model.predict(inputTensors);
+    // Run prediction (inputs must be in the model's input order)
+    const prediction = model.predict(model.inputNames.map(name => inputTensors[name]));
     const probabilities = prediction.dataSync();
     
-    // Find predicted class
-    const predictedIndex = probabilities.indexOf(Math.max(...probabilities));
-    const predictedClass = labelMap[predictedIndex];
-    
     // Clean up tensors
     prediction.dispose();
     Object.values(inputTensors).forEach(tensor => tensor.dispose());
     
-    return {
-      predictedClass,
-      probability: probabilities[predictedIndex],
-      probabilities: Array.from(probabilities)
-    };
+    if (options.targetScaling) {
+      return probabilities[0] * options.targetScaling.std + options.targetScaling.mean;
+    }
+    return rankPrediction(probabilities, labelMap, options);
   } catch (error) {
     console.error('Error during prediction with loaded model:', error);
     throw error;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Turn class probabilities into a prediction result: the `topK` most likely
+ * classes with their labels, and the predicted class. When the best
+ * probability is below `threshold` the result is marked uncertain and
+ * predictedClass is null rather than a forced guess.
+ *
+ * Multi-label models pass `labelThresholds` (one per class index): the result
+ * then also has predictedLabels, every label at or above its own threshold,
+ * most likely first, and is uncertain when that list is empty.
+ */
+function rankPrediction(probabilities, labelMap, options = {}) {
+  const { topK, threshold, labelThresholds } = { ...config.prediction, ...options };
+  
+  const ranked = Array.from(probabilities, (probability, index) => ({ label: labelMap[index], probability }))
+    .sort((a, b) => b.probability - a.probability);
+  
+  if (labelThresholds) {
+    const predictedLabels = Array.from(probabilities, (probability, index) => ({ index, probability }))
+      .filter(({ index, probability }) => probability >= labelThresholds[index])
+      .sort((a, b) => b.probability - a.probability)
+      .map(({ index }) => labelMap[index]);
+    
+    return {
+      predictedClass: predictedLabels.length > 0 ? predictedLabels[0] : null,
+      predictedLabels,
+      probability: ranked[0].probability,
+      uncertain: predictedLabels.length === 0,
+      topK: ranked.slice(0, topK),
+      probabilities: Array.from(probabilities)
+    };
+  }
+  
+  const uncertain = ranked[0].probability < threshold;
+  
+  return {
+    predictedClass: uncertain ? null : ranked[0].label,
+    probability: ranked[0].probability,
+    uncertain,
+    topK: ranked.slice(0, topK),
+    probabilities: Array.from(probabilities)
+  };
+}
+
+// Expose the trainer to Node.js (train-cli.js); in the browser these stay globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    config,
+    WordAI,
+    TextProcessor,
+    FeatureEncoder,
+    Metrics,
+    TrainingMonitor,
+    createRandom,
+    shuffleInPlace,
+    loadSavedModel,
+    predictWithLoadedModel,
+    rankPrediction
+  };
+}
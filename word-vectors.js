@@ -0,0 +1,127 @@
+/**
+ * Word AI pretrained word vectors
+ *
+ * Reads word vectors in the GloVe or word2vec text format: one word and its
+ * values per line, separated by spaces (word2vec files start with a
+ * "<word count> <dimension>" header line). Only the vectors of the words a
+ * model needs are kept, so large files are streamed line by line. The
+ * trainer uses them to initialize text embeddings (config.pretrainedEmbeddings).
+ */
+
+class WordVectors {
+  constructor(dimension) {
+    this.dimension = dimension;
+    this.vectors = new Map();
+    this.skippedLines = 0; // Lines without a full, numeric vector
+  }
+
+  /**
+   * Vector of a token (a Float32Array), trying its lowercase form second; null when missing
+   */
+  get(token) {
+    return this.vectors.get(token) || this.vectors.get(token.toLowerCase()) || null;
+  }
+
+  /**
+   * Read a vector file and keep the vectors of the words in `wanted` (a Set),
+   * or every vector when it is null. `source` may be a File/Blob (browser
+   * upload), a URL (browser) or a file path (Node.js). The first vector of a
+   * word wins; words are also stored lowercased unless that form appears itself.
+   */
+  static async load(source, wanted = null) {
+    let wordVectors = null;
+    let lineNumber = 0;
+
+    for await (const line of readLines(source)) {
+      lineNumber++;
+      const fields = line.trim().split(/\s+/);
+      if (fields.length < 2) continue;
+
+      const isHeader = lineNumber === 1 && fields.length === 2 && fields.every(field => /^\d+$/.test(field));
+      if (isHeader) continue;
+
+      if (!wordVectors) {
+        wordVectors = new WordVectors(fields.length - 1);
+      }
+      const { dimension } = wordVectors;
+
+      if (fields.length <= dimension) {
+        wordVectors.skippedLines++;
+        continue;
+      }
+
+      // A few GloVe releases have words containing spaces; the values are always the last fields
+      const word = fields.slice(0, fields.length - dimension).join(' ');
+      const lowercase = word.toLowerCase();
+      if (wanted && !wanted.has(word) && !wanted.has(lowercase)) continue;
+
+      const vector = Float32Array.from(fields.slice(-dimension), Number);
+      if (vector.some(value => !Number.isFinite(value))) {
+        wordVectors.skippedLines++;
+        continue;
+      }
+
+      if (!wordVectors.vectors.has(word)) wordVectors.vectors.set(word, vector);
+      if (!wordVectors.vectors.has(lowercase)) wordVectors.vectors.set(lowercase, vector);
+    }
+
+    if (!wordVectors) {
+      throw new Error('The word vector file contains no vectors');
+    }
+    return wordVectors;
+  }
+}
+
+/**
+ * Lines of a File/Blob, URL or file path, read as a stream
+ */
+async function* readLines(source) {
+  if (typeof Blob !== 'undefined' && source instanceof Blob) {
+    yield* streamLines(source.stream());
+    return;
+  }
+
+  if (typeof source !== 'string') {
+    throw new Error('Word vectors must be a File, URL or path');
+  }
+
+  if (typeof window === 'undefined' && typeof require === 'function') {
+    const input = require('fs').createReadStream(source);
+    yield* require('readline').createInterface({ input, crlfDelay: Infinity });
+    return;
+  }
+
+  const response = await fetch(source);
+  if (!response.ok) {
+    throw new Error(`Failed to read ${source}: HTTP ${response.status}`);
+  }
+  yield* streamLines(response.body);
+}
+
+/**
+ * Split a ReadableStream of UTF-8 bytes into lines
+ */
+async function* streamLines(stream) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+    const lines = buffer.split('\n');
+    buffer = done ? '' : lines.pop();
+    yield* lines;
+
+    if (done) return;
+  }
+}
+
+// Expose the word vectors to Node.js; in the browser these stay globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    WordVectors,
+    readLines
+  };
+}